@@ -8,6 +8,7 @@
  * - Same song pages don't restart audio
  * - Different song click stops current, starts new
  * - Lightbox arrow navigation triggers correct audio
+ * - The song group that's playing is marked (kept in sync via player events)
  */
 
 (function() {
@@ -78,6 +79,8 @@
     // Attach click handler via event delegation
     container.addEventListener('click', handlePageClick);
 
+    watchPlayer();
+
     DurtNursUtils.debug('📝 Lyrics showcase initialized with ' + lyricsPages.length + ' pages');
   }
 
@@ -126,6 +129,15 @@
     });
   }
 
+  /**
+   * Mark the song group whose track the player has loaded
+   */
+  function watchPlayer() {
+    if (typeof DurtNursPlayer === 'undefined') return;
+
+    DurtNursPlayer.markPlaying('.lyrics-showcase__group', 'lyrics-showcase__group');
+  }
+
   // =========================================================================
   // CUSTOM LIGHTBOX RENDERER
   // =========================================================================
@@ -298,6 +298,9 @@ async function renderNewsArchive(filterCategory = null) {
  *
  * We detect which page we're on by checking for specific element IDs
  * This is a simple but effective way to handle different page behaviors
+ *
+ * Returns the render promise, so SPA navigation can wait for the cards
+ * before scrolling to one (e.g. /news/#003)
  */
 function init() {
   DurtNursUtils.debug('🚀 Initializing announcements module...');
@@ -306,13 +309,13 @@ function init() {
   // querySelector is a flexible way to find elements using CSS selectors
   if (document.getElementById('homepage-news')) {
     DurtNursUtils.debug('📍 Detected homepage');
-    renderHomepageNews();
+    return renderHomepageNews();
   }
 
   // Check if we're on the news archive page
   else if (document.getElementById('news-archive')) {
     DurtNursUtils.debug('📍 Detected news archive page');
-    renderNewsArchive();
+    return renderNewsArchive();
   }
 
   else {
@@ -3,18 +3,51 @@
  * Site-wide singleton audio player for music playback
  *
  * Features:
- * - Singleton pattern (only one track plays at a time)
+ * - Singleton pattern (only one track plays at a time - across tabs too, via BroadcastChannel)
  * - Persistent UI fixed to bottom of viewport
  * - Play/pause, seek, volume controls
  * - Keyboard accessible
  * - Volume preference saved to localStorage
  * - Playback persists across page navigation (auto-resumes)
+ * - Ordered play queue ("Play Next" / "Add to Queue") with a queue drawer
+ * - Media Session integration (lock-screen controls, hardware media keys)
+ * - Playback modes: off, in order, repeat one, repeat all, shuffle (saved to localStorage)
+ * - Gapless or crossfaded (0-10 s) transitions via a second, preloading audio element
+ * - Lyrics panel: LRC lines highlight with playback and seek on click; plain text otherwise
+ * - Waveform seek bar from precomputed peaks (npm run generate-waveforms)
+ * - Copy a deep link to the current track and time (/releases/?track=<release-id>/<slug>&t=72)
+ * - Local listening history: plays, skips and completions per track (localStorage)
+ * - Per-track resume: "Resume from 2:41?" when restarting a track heard part-way
+ * - Cross-tab coordination: playing in one tab pauses the others, which offer "Play here"
+ * - Spectrum / oscilloscope visualizer via a Web Audio AnalyserNode (off under reduced motion)
+ * - Loudness normalization from assets/data/loudness.json (toggle in settings)
+ * - Practice tools: pitch-preserving speed control and A-B loop (saved per track for the session)
+ * - Sleep timer: pause after N minutes or at the end of the track/queue, fading out first
+ * - Event API so page modules can follow playback without polling getState()
+ * - Error recovery: network / decode / missing-file errors, retry with backoff, Retry & Skip
+ * - Offline: plays tracks saved with DurtNursOffline (offline.js); auto-queue sticks to them
+ * - Full-screen now-playing view (tap the artwork): large artwork, the rest of the release, up next
+ * - Embed mode for /embed/track/<release-id>/<slug>/ (or ?id=...): a standalone single-track player
  *
  * Usage:
  * DurtNursPlayer.play({ title, audioFile, duration, artwork, albumTitle, artist })
+ * DurtNursPlayer.load(trackData, { startTime }) // Cue a track without playing it
  * DurtNursPlayer.pause()
  * DurtNursPlayer.toggle()
  * DurtNursPlayer.stop()
+ * DurtNursPlayer.next()                    // Skip to next queued/auto-queued track
+ * DurtNursPlayer.previous()                // Restart, or go back one track
+ * DurtNursPlayer.playAll([trackData, ...]) // Play a list in order (e.g. an album)
+ * DurtNursPlayer.enqueue(trackData)        // Add to end of queue
+ * DurtNursPlayer.playNext(trackData)       // Add to front of queue
+ * DurtNursPlayer.removeFromQueue(index)
+ * DurtNursPlayer.reorder(fromIndex, toIndex)
+ * DurtNursPlayer.clearQueue()
+ * DurtNursPlayer.getListeningHistory({ limit })  // { recent, mostPlayed }
+ * DurtNursPlayer.getAnalyser()             // Shared AnalyserNode for reacting to the music (null until the graph exists)
+ * DurtNursPlayer.on('trackchange', handler) // Also play, pause, timeupdate, ended, error, autoqueuechange
+ * DurtNursPlayer.off('trackchange', handler)
+ * DurtNursPlayer.markPlaying('.song-card__play-btn[data-audio-file]', 'song-card__play-btn')
  */
 
 const DurtNursPlayer = {
@@ -23,17 +56,83 @@ const DurtNursPlayer = {
   // STATE
   // ==========================================================================
 
-  _audio: null,
+  _audio: null,               // Active <audio> element (swaps between the two below)
   _container: null,
   _isInitialized: false,
+  _isEmbed: false,            // Standalone single-track player (body[data-player-embed])
   _currentTrack: null,
+  _listeners: {},             // Event name -> Set of handlers (see on/off)
+  _playingMarkers: new Map(), // Selector -> BEM class marked by markPlaying()
 
   // Auto-queue state
   _trackCatalog: [],          // All available tracks from releases.json
-  _autoQueueEnabled: false,   // Whether to auto-play next track
+  _playbackMode: 'off',       // off | sequential | repeat-one | repeat-all | shuffle
+  _shuffleDeck: [],           // Remaining shuffle picks (every track once before repeats)
   _catalogLoaded: false,      // Whether track catalog has been fetched
   _catalogLoadPromise: null,  // In-flight fetch Promise (prevents race conditions)
 
+  // Play queue state
+  _queue: [],                 // Tracks waiting to play after the current one, in order
+  _history: [],               // Previously played tracks, most recent last
+
+  // Transition state (gapless / crossfade)
+  _nextAudio: null,           // Standby <audio> element that preloads the upcoming track
+  _preloadedTrack: null,      // Track currently loaded into _nextAudio
+  _volume: 0.8,               // User volume (0-1); fades scale from this
+  _crossfadeSeconds: 0,       // 0 = gapless, 1-10 = crossfade length
+  _fadeTimer: null,           // Interval id while a crossfade runs
+
+  // Lyrics state
+  _lyrics: null,              // { audioFile, lines: [{ time, text }], synced } for the current track
+  _lyricsCache: {},           // Parsed lyrics keyed by audioFile
+  _activeLyricIndex: -1,      // Highlighted line in synced lyrics
+
+  // Waveform state
+  _waveforms: null,           // Peaks keyed by audioFile (from waveforms.json)
+  _waveformLoadPromise: null, // Cached fetch of waveforms.json
+  _currentPeaks: null,        // Peaks for the current track, or null for a plain seek bar
+  _shareStatusTimer: null,    // Timeout that clears the "Link copied" message
+
+  // Listening history state
+  _listen: null,              // { track, listened, lastPosition, counted } for the current play-through
+
+  // Resume state
+  _lastSavedPosition: 0,      // Position last written for the current track (throttles writes)
+  _resumeOffer: null,         // Saved position offered in the resume prompt, or null
+
+  // Cross-tab state
+  _channel: null,             // BroadcastChannel shared by every tab on the site
+  _tabId: null,               // Random id identifying this tab's messages
+  _remotePlayer: null,        // { tabId, track } while another tab is playing
+  _handoffTimer: null,        // Fallback if the playing tab doesn't answer a take-control request
+
+  // Web Audio state (created on demand - see _setupAudioGraph)
+  _audioContext: null,
+  _analyser: null,
+  _gainNodes: null,             // Map of audio element -> GainNode for loudness normalization
+  _volumeTrims: new Map(),      // audio element -> loudness cut (0-1), always applied through element volume
+  _boosts: new Map(),           // audio element -> loudness boost (>1), applied by its gain node once the graph exists
+  _normalize: true,             // Even out loudness between tracks
+  _loudness: {},                // audioFile -> { gainDb, ... } from loudness.json
+  _loudnessLoadPromise: null,   // Cached fetch of loudness.json
+
+  // Practice state (session only)
+  _playbackRate: 1,
+  _loop: null,                  // { a, b } in seconds for the current track; b is null until set
+  _loops: {},                   // audioFile -> { a, b }
+
+  // Error recovery state
+  _retryCount: 0,               // Network retries for the current track
+  _retryTimer: null,
+  _autoSkips: 0,                // Failed tracks skipped in a row (stops runaway skipping when offline)
+  _errorHideTimer: null,
+
+  // Sleep timer state
+  _sleep: null,                 // { mode: 'minutes', endsAt } or { mode: 'track' | 'queue' }
+  _sleepTimer: null,            // Countdown interval while a timer is set
+  _visualizerStyle: 'spectrum', // 'spectrum' or 'scope'
+  _visualizerFrame: null,       // requestAnimationFrame id while drawing
+
   // DOM element references (populated during init)
   _elements: {
     artwork: null,
@@ -41,11 +140,70 @@ const DurtNursPlayer = {
     artist: null,
     playBtn: null,
     seek: null,
+    waveform: null,
     time: null,
     volume: null,
     volumeBtn: null,
     closeBtn: null,
-    autoQueueBtn: null
+    modeBtn: null,
+    modeLabel: null,
+    queueBtn: null,
+    queueCount: null,
+    queueDrawer: null,
+    queueList: null,
+    queueEmpty: null,
+    queueClearBtn: null,
+    shareBtn: null,
+    shareStatus: null,
+    resume: null,
+    resumeText: null,
+    resumeBtn: null,
+    resumeDismissBtn: null,
+    error: null,
+    errorText: null,
+    errorRetryBtn: null,
+    errorSkipBtn: null,
+    remote: null,
+    remoteText: null,
+    remoteBtn: null,
+    visualizerBtn: null,
+    visualizerPanel: null,
+    visualizerCanvas: null,
+    visualizerNote: null,
+    visualizerStyleBtns: null,
+    practiceBtn: null,
+    practiceRateLabel: null,
+    practicePanel: null,
+    rate: null,
+    rateValue: null,
+    loopMarker: null,
+    loopBtns: null,
+    loopStatus: null,
+    sleepBtn: null,
+    sleepRemaining: null,
+    sleepPanel: null,
+    sleepOptions: null,
+    sleepStatus: null,
+    settingsBtn: null,
+    settingsPanel: null,
+    crossfade: null,
+    crossfadeValue: null,
+    normalize: null,
+    lyricsBtn: null,
+    lyricsPanel: null,
+    lyricsList: null,
+    lyricsEmpty: null
+  },
+
+  // Expandable panels above the player bar (only one open at a time)
+  // Values are keys into _elements
+  _PANELS: {
+    queue: { panel: 'queueDrawer', button: 'queueBtn' },
+    lyrics: { panel: 'lyricsPanel', button: 'lyricsBtn' },
+    visualizer: { panel: 'visualizerPanel', button: 'visualizerBtn' },
+    practice: { panel: 'practicePanel', button: 'practiceBtn' },
+    sleep: { panel: 'sleepPanel', button: 'sleepBtn' },
+    settings: { panel: 'settingsPanel', button: 'settingsBtn' }
   },
 
   // ==========================================================================
@@ -61,39 +219,109 @@ const DurtNursPlayer = {
    * @param {string} [trackData.artwork] - Path to artwork image
    * @param {string} [trackData.albumTitle] - Album name
    * @param {string} [trackData.artist] - Artist name
+   * @param {string} [trackData.releaseId] - Release id (enables share links)
+   * @param {Object} [options]
+   * @param {number} [options.startTime] - Start offset in seconds
    */
-  play(trackData) {
+  play(trackData, { startTime } = {}) {
     if (!this._isInitialized) {
       DurtNursUtils.debugWarn('DurtNursPlayer: Not initialized');
       return;
     }
 
-    if (!trackData || !trackData.audioFile) {
-      DurtNursUtils.debugError('DurtNursPlayer: Missing audioFile in trackData');
-      return;
-    }
+    if (!this._isValidTrack(trackData)) return;
 
-    // If same track, just resume
+    // If same track, just resume (jumping to the offset if one was given)
     if (this._currentTrack && this._currentTrack.audioFile === trackData.audioFile) {
-      this._audio.play();
+      if (startTime !== undefined) this._audio.currentTime = startTime;
+      this._audio.play().catch(err => {
+        DurtNursUtils.debugError('DurtNursPlayer: Playback failed', err);
+        this._updatePlayButton(false);
+      });
       this._updatePlayButton(true);
       return;
     }
 
-    // Load new track
-    this._currentTrack = trackData;
-    this._audio.src = trackData.audioFile;
-    this._audio.load();
+    this._pushHistory();
+    this._loadAndPlay(trackData, { startTime });
+  },
 
-    // Update UI
-    this._updateTrackInfo(trackData);
-    this._showPlayer();
+  /**
+   * Load a track without starting it
+   * The player shows it cued (at startTime) and play() or toggle() starts it.
+   * @param {Object} trackData - Same shape as play()
+   * @param {Object} [options]
+   * @param {number} [options.startTime] - Cue offset in seconds
+   */
+  load(trackData, { startTime } = {}) {
+    if (!this._isInitialized) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Not initialized');
+      return;
+    }
 
-    // Play when ready
-    this._audio.play().catch(err => {
-      DurtNursUtils.debugError('DurtNursPlayer: Playback failed', err);
-      this._updatePlayButton(false);
-    });
+    if (!this._isValidTrack(trackData)) return;
+
+    this._pushHistory();
+    this._loadTrack(trackData, { startTime });
+    this._audio.pause();
+    this._updatePlayButton(false);
+  },
+
+  /**
+   * Skip to the next track
+   * Queued tracks come first, then auto-queue (if enabled).
+   */
+  next() {
+    if (!this._currentTrack) return;
+
+    if (this._queue.length > 0) {
+      this._playFromQueue();
+    } else if (this._playbackMode !== 'off') {
+      this._playNextTrack({ manual: true });
+    }
+  },
+
+  /**
+   * Go back: restart the current track, or play the previous one
+   * if we're within the first few seconds
+   */
+  previous() {
+    if (!this._currentTrack) return;
+
+    const RESTART_THRESHOLD = 3; // seconds
+    if (this._audio.currentTime > RESTART_THRESHOLD || this._history.length === 0) {
+      this._audio.currentTime = 0;
+      return;
+    }
+
+    // Put the current track back at the front of the queue so next() returns to it
+    const previousTrack = this._history.pop();
+    this._queue.unshift(this._currentTrack);
+    this._onQueueChanged();
+    this._loadAndPlay(previousTrack);
+  },
+
+  /**
+   * Play a list of tracks in order, replacing the queue
+   * The first track starts now; the rest play back-to-back after it.
+   * @param {Object[]} tracks - Track objects (same shape as play())
+   */
+  playAll(tracks) {
+    const playable = (tracks || []).filter(track => track && track.audioFile);
+    if (playable.length === 0) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: No playable tracks in list');
+      return;
+    }
+
+    const [first, ...rest] = playable;
+    this._queue = rest;
+    this._onQueueChanged();
+
+    // Restart from the top even if the first track is already loaded
+    if (this._currentTrack && this._currentTrack.audioFile === first.audioFile) {
+      this._audio.currentTime = 0;
+    }
+    this.play(first);
   },
 
   /**
@@ -121,17 +349,138 @@ const DurtNursPlayer = {
   },
 
   /**
-   * Stop playback and hide player
+   * Stop playback, clear the queue and hide player
    */
   stop() {
+    const wasLoaded = Boolean(this._currentTrack);
+
+    this._saveTrackPosition({ force: true });
+    this._hideResumeOffer();
+    this._setSleepTimer('off');
+    this._clearTrackError();
+    this._hideError();
+    this._endListen();
+
     if (this._audio) {
       this._audio.pause();
       this._audio.currentTime = 0;
       this._audio.src = '';
     }
+    this._boosts.clear();        // Nothing left to build the graph for
     this._currentTrack = null;
+    this._queue = [];
+    this._history = [];
+    this._resetStandby();
+    this._renderQueue();
     this._clearPlaybackState();
+    this._clearMediaSession();
+    this._hideRemotePlayer();
     this._hidePlayer();
+
+    if (wasLoaded) this._emit('trackchange');
+  },
+
+  /**
+   * Get the local listening history
+   * @param {Object} [options]
+   * @param {number} [options.limit=5] - Max tracks per list
+   * @returns {{recent: Array<Object>, mostPlayed: Array<Object>}}
+   *   recent: distinct tracks, newest first, each with playedAt (ms)
+   *   mostPlayed: tracks by play count, each with plays, completions and skips
+   */
+  getListeningHistory({ limit = 5 } = {}) {
+    const { tracks, recent } = this._loadListeningHistory();
+
+    const seen = new Set();
+    const recentTracks = [];
+    for (const { audioFile, playedAt } of recent) {
+      if (recentTracks.length >= limit) break;
+      if (seen.has(audioFile) || !tracks[audioFile]) continue;
+      seen.add(audioFile);
+      recentTracks.push({ ...tracks[audioFile].track, playedAt });
+    }
+
+    const mostPlayed = Object.values(tracks)
+      .filter(entry => entry.plays > 0)
+      .sort((a, b) => b.plays - a.plays || b.lastPlayedAt - a.lastPlayedAt)
+      .slice(0, limit)
+      .map(({ track, plays, completions, skips }) => ({ ...track, plays, completions, skips }));
+
+    return { recent: recentTracks, mostPlayed };
+  },
+
+  /**
+   * Forget all listening history
+   */
+  clearListeningHistory() {
+    try {
+      localStorage.removeItem(this._HISTORY_STORAGE_KEY);
+    } catch (e) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Could not clear listening history', e);
+    }
+  },
+
+  /**
+   * Get the AnalyserNode both audio elements feed
+   * Never builds the graph itself: outside a user gesture the context would
+   * stay suspended and playback go silent. It exists once the listener opens
+   * the visualizer (or a track needs a loudness boost) - poll until then.
+   * Read it with getByteFrequencyData / getByteTimeDomainData each frame.
+   * @returns {AnalyserNode|null} Null until then, or if Web Audio isn't supported
+   */
+  getAnalyser() {
+    return this._analyser;
+  },
+
+  /**
+   * Subscribe to a player event
+   * Handlers receive a detail object; every event includes `track`
+   * (the current track, or null once stopped).
+   * - trackchange: a different track loaded (or null on stop)
+   * - play / pause
+   * - timeupdate: { currentTime, duration } - several times a second
+   * - ended: the track finished
+   * - error: { error, kind } - the track failed; kind is 'network', 'decode', 'missing' or 'offline'
+   * - autoqueuechange: { mode } - playback mode changed, so what plays next did too
+   * Safe to call before the player initializes. Subscriptions outlive SPA page
+   * swaps; subscribing the same handler again is a no-op.
+   * @param {string} event
+   * @param {Function} handler
+   */
+  on(event, handler) {
+    if (!this._EVENTS.includes(event) || typeof handler !== 'function') {
+      DurtNursUtils.debugWarn(`DurtNursPlayer: Can't subscribe to "${event}"`);
+      return;
+    }
+
+    if (!this._listeners[event]) this._listeners[event] = new Set();
+    this._listeners[event].add(handler);
+  },
+
+  /**
+   * Unsubscribe a handler added with on()
+   * @param {string} event
+   * @param {Function} handler
+   */
+  off(event, handler) {
+    if (this._listeners[event]) this._listeners[event].delete(handler);
+  },
+
+  /**
+   * Keep elements for the loaded track marked, on whatever page is showing
+   * Elements matching the selector carry data-audio-file; the one(s) for the
+   * current track get `<block>--current` and aria-current, plus `<block>--playing`
+   * while it plays. Page modules can call this on every init.
+   * @param {string} selector - e.g. '.song-card__play-btn[data-audio-file]'
+   * @param {string} block - Class the modifiers extend, e.g. 'song-card__play-btn'
+   */
+  markPlaying(selector, block) {
+    if (this._playingMarkers.size === 0) {
+      ['trackchange', 'play', 'pause'].forEach(event => this.on(event, () => this._syncPlayingMarkers()));
+    }
+
+    this._playingMarkers.set(selector, block);
+    this._syncPlayingMarkers();
   },
 
   /**
@@ -143,29 +492,193 @@ const DurtNursPlayer = {
       isPlaying: this._audio ? !this._audio.paused : false,
       currentTrack: this._currentTrack,
       currentTime: this._audio ? this._audio.currentTime : 0,
-      duration: this._audio ? this._audio.duration : 0
+      duration: this._audio ? this._audio.duration : 0,
+      queue: this.getQueue()
     };
   },
 
+  /**
+   * Add a track to the end of the queue
+   * Starts playing immediately if nothing is loaded.
+   * @param {Object} trackData - Track information (same shape as play())
+   */
+  enqueue(trackData) {
+    if (!this._isValidTrack(trackData)) return;
+
+    if (!this._currentTrack) {
+      this.play(trackData);
+      return;
+    }
+
+    this._queue.push(trackData);
+    this._onQueueChanged();
+    DurtNursUtils.debug(`➕ Queued: ${trackData.title}`);
+  },
+
+  /**
+   * Add a track to the front of the queue so it plays after the current one
+   * Starts playing immediately if nothing is loaded.
+   * @param {Object} trackData - Track information (same shape as play())
+   */
+  playNext(trackData) {
+    if (!this._isValidTrack(trackData)) return;
+
+    if (!this._currentTrack) {
+      this.play(trackData);
+      return;
+    }
+
+    this._queue.unshift(trackData);
+    this._onQueueChanged();
+    DurtNursUtils.debug(`⏭️ Playing next: ${trackData.title}`);
+  },
+
+  /**
+   * Remove a track from the queue
+   * @param {number} index - Position in the queue
+   */
+  removeFromQueue(index) {
+    if (index < 0 || index >= this._queue.length) return;
+
+    this._queue.splice(index, 1);
+    this._onQueueChanged();
+  },
+
+  /**
+   * Move a queued track to a new position
+   * @param {number} fromIndex - Current position in the queue
+   * @param {number} toIndex - New position in the queue
+   */
+  reorder(fromIndex, toIndex) {
+    const length = this._queue.length;
+    if (fromIndex < 0 || fromIndex >= length || toIndex < 0 || toIndex >= length) return;
+    if (fromIndex === toIndex) return;
+
+    const [track] = this._queue.splice(fromIndex, 1);
+    this._queue.splice(toIndex, 0, track);
+    this._onQueueChanged();
+  },
+
+  /**
+   * Remove every track from the queue
+   */
+  clearQueue() {
+    if (this._queue.length === 0) return;
+
+    this._queue = [];
+    this._onQueueChanged();
+  },
+
+  /**
+   * Get a copy of the queue
+   * @returns {Array} Queued track objects, in play order
+   */
+  getQueue() {
+    return this._queue.slice();
+  },
+
   /**
    * Initialize the player (call on DOM ready)
    */
   init() {
     if (this._isInitialized) return;
 
+    this._isEmbed = document.body.hasAttribute('data-player-embed');
     this._createPlayerHTML();
     this._cacheElements();
     this._setupAudio();
     this._bindEvents();
-    this._loadVolumePreference();
-    this._loadAutoQueuePreference();
-    this._setupPersistence();
-    this._restorePlaybackState();
+    this._renderQueue();
+    this._setupMediaSession();
+
+    // The embed plays one track on someone else's page: default settings, no
+    // auto-queue, and it leaves the site's tabs, preferences and history alone
+    if (this._isEmbed) {
+      this._setVolume(this._volume);
+      this._elements.normalize.checked = this._normalize;
+      this._initEmbed();
+    } else {
+      this._loadVolumePreference();
+      this._loadCrossfadePreference();
+      this._loadNormalizePreference();
+      this._loadPracticeState();
+      this._loadVisualizerPreference();
+      this._setupCrossTab();
+      this._loadPlaybackModePreference();
+      this._setupPersistence();
+      this._restorePlaybackState();
+    }
 
     this._isInitialized = true;
     DurtNursUtils.debug('DurtNursPlayer: Initialized');
   },
 
+  // ==========================================================================
+  // PRIVATE METHODS - PLAYBACK
+  // ==========================================================================
+
+  /**
+   * Load a track into the audio element, update the UI and start playback
+   */
+  _loadAndPlay(trackData, { startTime } = {}) {
+    this._loadTrack(trackData, { startTime });
+
+    // Play when ready
+    this._audio.play().catch(err => {
+      DurtNursUtils.debugError('DurtNursPlayer: Playback failed', err);
+      this._updatePlayButton(false);
+    });
+  },
+
+  /**
+   * Load a track into the audio element and update the UI, without playing
+   */
+  _loadTrack(trackData, { startTime } = {}) {
+    this._saveTrackPosition({ force: true });
+    this._resetStandby();
+    this._endListen();
+    this._startListen(trackData, startTime);
+    this._currentTrack = trackData;
+    this._audio.src = trackData.audioFile;
+    this._audio.load();
+    this._applyLoudness(this._audio, trackData);
+
+    // Seeking before metadata arrives is ignored by some browsers
+    if (startTime > 0) {
+      const audio = this._audio;
+      audio.addEventListener('loadedmetadata', () => {
+        if (audio === this._audio && this._currentTrack === trackData) {
+          audio.currentTime = Math.min(startTime, audio.duration || startTime);
+        }
+      }, { once: true });
+    }
+
+    // Update UI
+    this._updateTrackInfo(trackData);
+    this._showPlayer();
+
+    // An explicit start time (deep link) wins over the saved position
+    if (startTime === undefined) {
+      this._offerResume(trackData);
+    } else {
+      this._hideResumeOffer();
+    }
+  },
+
+  /**
+   * Remember the current track before switching away from it
+   * Capped so a long session doesn't grow sessionStorage forever.
+   */
+  _pushHistory() {
+    if (!this._currentTrack) return;
+
+    const MAX_HISTORY = 50;
+    this._history.push(this._currentTrack);
+    if (this._history.length > MAX_HISTORY) {
+      this._history.shift();
+    }
+  },
+
   // ==========================================================================
   // PRIVATE METHODS - INITIALIZATION
   // ==========================================================================
@@ -177,11 +690,19 @@ const DurtNursPlayer = {
     const playerHTML = `
       <div id="audio-player" class="audio-player audio-player--hidden" role="region" aria-label="Audio player">
         <div class="audio-player__track-info">
-          <img class="audio-player__artwork" src="/assets/images/logo.png" alt="Album artwork">
+          ${this._isEmbed ? `
+          <span class="audio-player__artwork-btn">
+            <img class="audio-player__artwork" src="/assets/images/logo.png" alt="Album artwork">
+          </span>` : `
+          <button class="audio-player__artwork-btn" type="button" aria-label="Open now playing" aria-haspopup="dialog" aria-expanded="false" aria-controls="audio-player-now-playing" title="Now playing">
+            <img class="audio-player__artwork" src="/assets/images/logo.png" alt="Album artwork">
+          </button>`}
           <div class="audio-player__text">
             <span class="audio-player__title">No track selected</span>
             <span class="audio-player__artist">tHE dURT nURS'</span>
-            <a href="https://suno.com/@thedurtnurs" class="audio-player__suno-link" target="_blank" rel="noopener noreferrer">More on Suno</a>
+            ${this._isEmbed
+              ? '<a href="/releases/" class="audio-player__release-link" target="_blank" rel="noopener">Open on durtnurs.com</a>'
+              : '<a href="https://suno.com/@thedurtnurs" class="audio-player__suno-link" target="_blank" rel="noopener noreferrer">More on Suno</a>'}
           </div>
         </div>
 
@@ -191,15 +712,20 @@ const DurtNursPlayer = {
           </button>
 
           <div class="audio-player__progress">
-            <input type="range"
-                   class="audio-player__seek"
-                   min="0"
-                   max="100"
-                   value="0"
-                   aria-label="Seek"
-                   aria-valuemin="0"
-                   aria-valuemax="100"
-                   aria-valuenow="0">
+            <div class="audio-player__seek-wrapper">
+              <canvas class="audio-player__waveform" aria-hidden="true"></canvas>
+              <div class="audio-player__loop" aria-hidden="true" hidden></div>
+              <input type="range"
+                     class="audio-player__seek"
+                     min="0"
+                     max="100"
+                     step="any"
+                     value="0"
+                     aria-label="Seek"
+                     aria-valuemin="0"
+                     aria-valuemax="100"
+                     aria-valuenow="0">
+            </div>
             <span class="audio-player__time">0:00 / 0:00</span>
           </div>
 
@@ -218,20 +744,204 @@ const DurtNursPlayer = {
                    aria-valuenow="80">
           </div>
 
-          <button class="audio-player__autoqueue-btn" aria-label="Auto-queue: Off" aria-pressed="false" type="button" title="Auto-play next track">
-            <span class="audio-player__autoqueue-icon" aria-hidden="true"></span>
+          <button class="audio-player__mode-btn" aria-label="Playback mode: Off" type="button" title="Playback mode">
+            <span class="audio-player__mode-icon" aria-hidden="true"></span>
+            <span class="audio-player__mode-label" aria-hidden="true">Off</span>
+          </button>
+
+          <button class="audio-player__queue-btn" aria-label="Show queue" aria-expanded="false" aria-controls="audio-player-queue" type="button" title="Up next">
+            <span class="audio-player__queue-icon" aria-hidden="true"></span>
+            <span class="audio-player__queue-count" aria-hidden="true"></span>
+          </button>
+
+          <button class="audio-player__share-btn" aria-label="Copy link at current time" type="button" title="Copy link at current time">
+            <span class="audio-player__share-icon" aria-hidden="true"></span>
+          </button>
+          <span class="audio-player__share-status" role="status" aria-live="polite"></span>
+
+          <button class="audio-player__lyrics-btn" aria-label="Show lyrics" aria-expanded="false" aria-controls="audio-player-lyrics" type="button" title="Lyrics">
+            <span class="audio-player__lyrics-icon" aria-hidden="true">&#9835;</span>
           </button>
+
+          <button class="audio-player__visualizer-btn" aria-label="Show visualizer" aria-expanded="false" aria-controls="audio-player-visualizer" type="button" title="Visualizer">
+            <span class="audio-player__visualizer-icon" aria-hidden="true"></span>
+          </button>
+
+          <button class="audio-player__practice-btn" aria-label="Practice tools" aria-expanded="false" aria-controls="audio-player-practice" type="button" title="Practice: speed and A-B loop">
+            <span class="audio-player__practice-rate">1&times;</span>
+          </button>
+
+          <button class="audio-player__sleep-btn" aria-label="Sleep timer" aria-expanded="false" aria-controls="audio-player-sleep" type="button" title="Sleep timer">
+            <span class="audio-player__sleep-icon" aria-hidden="true">&#9790;</span>
+            <span class="audio-player__sleep-remaining" hidden></span>
+          </button>
+
+          <button class="audio-player__settings-btn" aria-label="Player settings" aria-expanded="false" aria-controls="audio-player-settings" type="button" title="Settings">
+            <span class="audio-player__settings-icon" aria-hidden="true"></span>
+          </button>
+        </div>
+
+        <div id="audio-player-queue" class="audio-player__panel audio-player__queue" role="region" aria-label="Play queue" hidden>
+          <div class="audio-player__panel-header">
+            <h2 class="audio-player__panel-title">Up Next</h2>
+            <button class="audio-player__queue-clear" type="button">Clear</button>
+          </div>
+          <ol class="audio-player__queue-list"></ol>
+          <p class="audio-player__queue-empty">Nothing queued. The jukebox is taking requests.</p>
+        </div>
+
+        <div id="audio-player-lyrics" class="audio-player__panel audio-player__lyrics" role="region" aria-label="Lyrics" hidden>
+          <div class="audio-player__panel-header">
+            <h2 class="audio-player__panel-title">Lyrics</h2>
+          </div>
+          <ol class="audio-player__lyrics-list"></ol>
+          <p class="audio-player__lyrics-empty">No lyrics for this one. Hum along.</p>
+        </div>
+
+        <div id="audio-player-visualizer" class="audio-player__panel audio-player__visualizer" role="region" aria-label="Visualizer" hidden>
+          <div class="audio-player__panel-header">
+            <h2 class="audio-player__panel-title">Visualizer</h2>
+            <div class="audio-player__visualizer-styles" role="group" aria-label="Visualizer style">
+              <button class="audio-player__visualizer-style" type="button" data-style="spectrum" aria-pressed="true">Spectrum</button>
+              <button class="audio-player__visualizer-style" type="button" data-style="scope" aria-pressed="false">Scope</button>
+            </div>
+          </div>
+          <canvas class="audio-player__visualizer-canvas" aria-hidden="true"></canvas>
+          <p class="audio-player__visualizer-note" hidden></p>
+        </div>
+
+        <div id="audio-player-practice" class="audio-player__panel audio-player__practice" role="region" aria-label="Practice tools" hidden>
+          <div class="audio-player__panel-header">
+            <h2 class="audio-player__panel-title">Practice</h2>
+          </div>
+          <div class="audio-player__setting">
+            <label class="audio-player__setting-label" for="audio-player-rate">Speed</label>
+            <input type="range"
+                   id="audio-player-rate"
+                   class="audio-player__rate"
+                   min="50"
+                   max="150"
+                   step="5"
+                   value="100"
+                   aria-valuetext="100%">
+            <output class="audio-player__setting-value" for="audio-player-rate">100%</output>
+          </div>
+          <div class="audio-player__loop-controls" role="group" aria-label="A-B loop">
+            <button class="audio-player__loop-btn" type="button" data-loop="a">Set A</button>
+            <button class="audio-player__loop-btn" type="button" data-loop="b">Set B</button>
+            <button class="audio-player__loop-btn" type="button" data-loop="clear">Clear loop</button>
+          </div>
+          <p class="audio-player__loop-status" aria-live="polite">No loop set</p>
+          <p class="audio-player__practice-keys">Keys: <kbd>[</kbd> <kbd>]</kbd> set A/B, <kbd>\\</kbd> clears, <kbd>&lt;</kbd> <kbd>&gt;</kbd> change speed</p>
+        </div>
+
+        <div id="audio-player-sleep" class="audio-player__panel audio-player__sleep" role="region" aria-label="Sleep timer" hidden>
+          <div class="audio-player__panel-header">
+            <h2 class="audio-player__panel-title">Sleep Timer</h2>
+          </div>
+          <div class="audio-player__sleep-options" role="group" aria-label="Stop playing">
+            <button class="audio-player__sleep-option" type="button" data-sleep="15" aria-pressed="false">15 min</button>
+            <button class="audio-player__sleep-option" type="button" data-sleep="30" aria-pressed="false">30 min</button>
+            <button class="audio-player__sleep-option" type="button" data-sleep="45" aria-pressed="false">45 min</button>
+            <button class="audio-player__sleep-option" type="button" data-sleep="60" aria-pressed="false">1 hour</button>
+            <button class="audio-player__sleep-option" type="button" data-sleep="track" aria-pressed="false">End of track</button>
+            <button class="audio-player__sleep-option" type="button" data-sleep="queue" aria-pressed="false">End of album / queue</button>
+            <button class="audio-player__sleep-option" type="button" data-sleep="off" aria-pressed="true">Off</button>
+          </div>
+          <p class="audio-player__sleep-status" aria-live="polite">Playing until you stop it.</p>
+        </div>
+
+        <div id="audio-player-settings" class="audio-player__panel audio-player__settings" role="region" aria-label="Player settings" hidden>
+          <div class="audio-player__panel-header">
+            <h2 class="audio-player__panel-title">Settings</h2>
+          </div>
+          <div class="audio-player__setting">
+            <label class="audio-player__setting-label" for="audio-player-crossfade">Between tracks</label>
+            <input type="range"
+                   id="audio-player-crossfade"
+                   class="audio-player__crossfade"
+                   min="0"
+                   max="10"
+                   step="1"
+                   value="0"
+                   aria-valuetext="Gapless">
+            <output class="audio-player__setting-value" for="audio-player-crossfade">Gapless</output>
+          </div>
+          <div class="audio-player__setting audio-player__setting--toggle">
+            <input type="checkbox"
+                   id="audio-player-normalize"
+                   class="audio-player__normalize"
+                   checked>
+            <label class="audio-player__setting-label" for="audio-player-normalize">Even out loudness</label>
+          </div>
+        </div>
+
+        <div class="audio-player__remote" role="group" aria-label="Playing in another tab" hidden>
+          <span class="audio-player__remote-text" aria-live="polite"></span>
+          <button class="audio-player__remote-btn" type="button">Play here</button>
+        </div>
+
+        <div class="audio-player__resume" role="group" aria-label="Resume playback" hidden>
+          <span class="audio-player__resume-text" aria-live="polite"></span>
+          <button class="audio-player__resume-btn" type="button">Resume</button>
+          <button class="audio-player__resume-dismiss" type="button" aria-label="Start from the beginning">&times;</button>
+        </div>
+
+        <div class="audio-player__error" role="alert" hidden>
+          <span class="audio-player__error-text"></span>
+          <button class="audio-player__error-retry" type="button">Retry</button>
+          <button class="audio-player__error-skip" type="button">Skip</button>
         </div>
 
         <button class="audio-player__close" aria-label="Close player" type="button">
           <span aria-hidden="true">&times;</span>
         </button>
 
-        <audio id="audio-element" preload="metadata"></audio>
+        <!-- Two elements: one plays, the other preloads the next track for gapless/crossfade -->
+        <audio class="audio-player__audio" preload="metadata"></audio>
+        <audio class="audio-player__audio" preload="auto"></audio>
+      </div>
+    `;
+
+    // Full-screen view lives outside the bar - the bar's slide transform would clip a fixed child
+    const nowPlayingHTML = `
+      <div id="audio-player-now-playing" class="now-playing" role="dialog" aria-modal="true" aria-labelledby="now-playing-title" hidden>
+        <button class="now-playing__close" type="button" aria-label="Close now playing" title="Close (Esc)">
+          <span aria-hidden="true">&times;</span>
+        </button>
+
+        <div class="now-playing__layout">
+          <div class="now-playing__artwork"></div>
+
+          <div class="now-playing__details">
+            <p class="now-playing__eyebrow">Now playing</p>
+            <h2 id="now-playing-title" class="now-playing__title"></h2>
+            <p class="now-playing__artist"></p>
+            <p class="now-playing__album">From <a class="now-playing__album-link" href="/releases/"></a></p>
+
+            <div class="now-playing__controls" role="group" aria-label="Playback">
+              <button class="now-playing__control" type="button" data-action="previous" aria-label="Previous track">&#9198;</button>
+              <button class="now-playing__control now-playing__control--play" type="button" data-action="toggle" aria-label="Play">
+                <span class="now-playing__play-icon" aria-hidden="true"></span>
+              </button>
+              <button class="now-playing__control" type="button" data-action="next" aria-label="Next track">&#9197;</button>
+            </div>
+            <p class="now-playing__time">0:00 / 0:00</p>
+
+            <h3 class="now-playing__heading">Up Next</h3>
+            <p class="now-playing__upcoming"></p>
+
+            <div class="now-playing__release" hidden>
+              <h3 class="now-playing__heading">More From This Release</h3>
+              <ol class="now-playing__tracks"></ol>
+            </div>
+          </div>
+        </div>
       </div>
     `;
 
     document.body.insertAdjacentHTML('beforeend', playerHTML);
+    document.body.insertAdjacentHTML('beforeend', nowPlayingHTML);
     this._container = document.getElementById('audio-player');
   },
 
@@ -241,393 +951,3214 @@ const DurtNursPlayer = {
   _cacheElements() {
     this._elements = {
       artwork: this._container.querySelector('.audio-player__artwork'),
+      artworkBtn: this._container.querySelector('.audio-player__artwork-btn'),
+      releaseLink: this._container.querySelector('.audio-player__release-link'),
+      nowPlaying: document.getElementById('audio-player-now-playing'),
+      nowPlayingCloseBtn: document.querySelector('.now-playing__close'),
+      nowPlayingArtwork: document.querySelector('.now-playing__artwork'),
+      nowPlayingTitle: document.querySelector('.now-playing__title'),
+      nowPlayingArtist: document.querySelector('.now-playing__artist'),
+      nowPlayingAlbum: document.querySelector('.now-playing__album'),
+      nowPlayingAlbumLink: document.querySelector('.now-playing__album-link'),
+      nowPlayingPlayBtn: document.querySelector('.now-playing__control--play'),
+      nowPlayingTime: document.querySelector('.now-playing__time'),
+      nowPlayingUpcoming: document.querySelector('.now-playing__upcoming'),
+      nowPlayingRelease: document.querySelector('.now-playing__release'),
+      nowPlayingTracks: document.querySelector('.now-playing__tracks'),
       title: this._container.querySelector('.audio-player__title'),
       artist: this._container.querySelector('.audio-player__artist'),
       playBtn: this._container.querySelector('.audio-player__play-btn'),
       seek: this._container.querySelector('.audio-player__seek'),
+      waveform: this._container.querySelector('.audio-player__waveform'),
       time: this._container.querySelector('.audio-player__time'),
       volume: this._container.querySelector('.audio-player__volume'),
       volumeBtn: this._container.querySelector('.audio-player__volume-btn'),
       closeBtn: this._container.querySelector('.audio-player__close'),
-      autoQueueBtn: this._container.querySelector('.audio-player__autoqueue-btn')
+      modeBtn: this._container.querySelector('.audio-player__mode-btn'),
+      modeLabel: this._container.querySelector('.audio-player__mode-label'),
+      queueBtn: this._container.querySelector('.audio-player__queue-btn'),
+      queueCount: this._container.querySelector('.audio-player__queue-count'),
+      queueDrawer: this._container.querySelector('.audio-player__queue'),
+      queueList: this._container.querySelector('.audio-player__queue-list'),
+      queueEmpty: this._container.querySelector('.audio-player__queue-empty'),
+      queueClearBtn: this._container.querySelector('.audio-player__queue-clear'),
+      shareBtn: this._container.querySelector('.audio-player__share-btn'),
+      shareStatus: this._container.querySelector('.audio-player__share-status'),
+      resume: this._container.querySelector('.audio-player__resume'),
+      resumeText: this._container.querySelector('.audio-player__resume-text'),
+      resumeBtn: this._container.querySelector('.audio-player__resume-btn'),
+      resumeDismissBtn: this._container.querySelector('.audio-player__resume-dismiss'),
+      error: this._container.querySelector('.audio-player__error'),
+      errorText: this._container.querySelector('.audio-player__error-text'),
+      errorRetryBtn: this._container.querySelector('.audio-player__error-retry'),
+      errorSkipBtn: this._container.querySelector('.audio-player__error-skip'),
+      remote: this._container.querySelector('.audio-player__remote'),
+      remoteText: this._container.querySelector('.audio-player__remote-text'),
+      remoteBtn: this._container.querySelector('.audio-player__remote-btn'),
+      visualizerBtn: this._container.querySelector('.audio-player__visualizer-btn'),
+      visualizerPanel: this._container.querySelector('.audio-player__visualizer'),
+      visualizerCanvas: this._container.querySelector('.audio-player__visualizer-canvas'),
+      visualizerNote: this._container.querySelector('.audio-player__visualizer-note'),
+      visualizerStyleBtns: this._container.querySelectorAll('.audio-player__visualizer-style'),
+      practiceBtn: this._container.querySelector('.audio-player__practice-btn'),
+      practiceRateLabel: this._container.querySelector('.audio-player__practice-rate'),
+      practicePanel: this._container.querySelector('.audio-player__practice'),
+      rate: this._container.querySelector('.audio-player__rate'),
+      rateValue: this._container.querySelector('.audio-player__rate + .audio-player__setting-value'),
+      loopMarker: this._container.querySelector('.audio-player__loop'),
+      loopBtns: this._container.querySelectorAll('.audio-player__loop-btn'),
+      loopStatus: this._container.querySelector('.audio-player__loop-status'),
+      sleepBtn: this._container.querySelector('.audio-player__sleep-btn'),
+      sleepRemaining: this._container.querySelector('.audio-player__sleep-remaining'),
+      sleepPanel: this._container.querySelector('.audio-player__sleep'),
+      sleepOptions: this._container.querySelectorAll('.audio-player__sleep-option'),
+      sleepStatus: this._container.querySelector('.audio-player__sleep-status'),
+      settingsBtn: this._container.querySelector('.audio-player__settings-btn'),
+      settingsPanel: this._container.querySelector('.audio-player__settings'),
+      crossfade: this._container.querySelector('.audio-player__crossfade'),
+      crossfadeValue: this._container.querySelector('.audio-player__crossfade + .audio-player__setting-value'),
+      normalize: this._container.querySelector('.audio-player__normalize'),
+      lyricsBtn: this._container.querySelector('.audio-player__lyrics-btn'),
+      lyricsPanel: this._container.querySelector('.audio-player__lyrics'),
+      lyricsList: this._container.querySelector('.audio-player__lyrics-list'),
+      lyricsEmpty: this._container.querySelector('.audio-player__lyrics-empty')
     };
   },
 
   /**
-   * Set up the audio element
+   * Set up the audio elements
+   * The first starts active; the second is the standby used for preloading.
    */
   _setupAudio() {
-    this._audio = document.getElementById('audio-element');
+    [this._audio, this._nextAudio] = this._container.querySelectorAll('.audio-player__audio');
   },
 
   /**
    * Bind all event listeners
    */
   _bindEvents() {
-    // Audio events
-    this._audio.addEventListener('play', () => this._updatePlayButton(true));
-    this._audio.addEventListener('pause', () => this._updatePlayButton(false));
-    this._audio.addEventListener('ended', () => this._onTrackEnded());
-    this._audio.addEventListener('timeupdate', () => this._onTimeUpdate());
-    this._audio.addEventListener('loadedmetadata', () => this._onMetadataLoaded());
-    this._audio.addEventListener('error', (e) => this._onAudioError(e));
+    // Audio events - bound on both elements, but only the active one is handled
+    [this._audio, this._nextAudio].forEach(audio => {
+      const whenActive = (handler) => (e) => {
+        if (e.target === this._audio) handler(e);
+      };
+
+      audio.addEventListener('play', whenActive(() => {
+        this._resumeAudioContext();
+        this._updatePlayButton(true);
+        this._updateMediaSessionPlaybackState();
+        this._announcePlaying();
+        this._emit('play');
+      }));
+      audio.addEventListener('pause', whenActive(() => {
+        // Pausing mid-crossfade cuts the outgoing track rather than letting it fade on
+        if (this._fadeTimer) this._finishCrossfade(this._nextAudio);
+        this._saveTrackPosition({ force: true });
+        this._updatePlayButton(false);
+        this._broadcast({ type: 'stopped' });
+        this._updateMediaSessionPlaybackState();
+        this._emit('pause');
+      }));
+      audio.addEventListener('playing', whenActive(() => this._onPlaybackRecovered()));
+      audio.addEventListener('ended', whenActive(() => this._onTrackEnded()));
+      audio.addEventListener('timeupdate', whenActive(() => this._onTimeUpdate()));
+      audio.addEventListener('loadedmetadata', whenActive(() => this._onMetadataLoaded()));
+      audio.addEventListener('progress', whenActive(() => this._drawWaveform()));
+      audio.addEventListener('error', whenActive((e) => this._onAudioError(e)));
+    });
 
     // Control events
     this._elements.playBtn.addEventListener('click', () => this.toggle());
     this._elements.seek.addEventListener('input', (e) => this._onSeekInput(e));
     this._elements.volume.addEventListener('input', (e) => this._onVolumeInput(e));
     this._elements.volumeBtn.addEventListener('click', () => this._toggleMute());
-    this._elements.autoQueueBtn.addEventListener('click', () => this._toggleAutoQueue());
+    this._elements.modeBtn.addEventListener('click', () => this._cyclePlaybackMode());
     this._elements.closeBtn.addEventListener('click', () => this.stop());
+    this._elements.queueBtn.addEventListener('click', () => this._togglePanel('queue'));
+    this._elements.shareBtn.addEventListener('click', () => this._copyTrackLink());
+    this._elements.resumeBtn.addEventListener('click', () => this._acceptResumeOffer());
+    this._elements.resumeDismissBtn.addEventListener('click', () => this._hideResumeOffer());
+    this._elements.remoteBtn.addEventListener('click', () => this._takeControl());
+    this._elements.errorRetryBtn.addEventListener('click', () => this._retryTrack({ manual: true }));
+    this._elements.errorSkipBtn.addEventListener('click', () => this._skipFailedTrack());
+    this._elements.lyricsBtn.addEventListener('click', () => this._togglePanel('lyrics'));
+    this._elements.lyricsList.addEventListener('click', (e) => this._onLyricsClick(e));
+    this._elements.visualizerBtn.addEventListener('click', () => this._onVisualizerClick());
+    this._elements.visualizerStyleBtns.forEach(btn => {
+      btn.addEventListener('click', () => this._setVisualizerStyle(btn.dataset.style));
+    });
+    this._elements.practiceBtn.addEventListener('click', () => this._togglePanel('practice'));
+    this._elements.rate.addEventListener('input', (e) => this._setPlaybackRate(e.target.value / 100));
+    this._elements.loopBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.loop === 'clear') this._clearLoop();
+        else this._setLoopPoint(btn.dataset.loop);
+      });
+    });
+    this._elements.sleepBtn.addEventListener('click', () => this._togglePanel('sleep'));
+    this._elements.sleepOptions.forEach(btn => {
+      btn.addEventListener('click', () => this._setSleepTimer(btn.dataset.sleep));
+    });
+    this._elements.settingsBtn.addEventListener('click', () => this._togglePanel('settings'));
+    this._elements.crossfade.addEventListener('input', (e) => this._onCrossfadeInput(e));
+    this._elements.normalize.addEventListener('change', (e) => this._onNormalizeChange(e));
+    this._elements.queueClearBtn.addEventListener('click', () => this.clearQueue());
+    this._elements.artworkBtn.addEventListener('click', () => this._openNowPlaying());
+    this._elements.nowPlaying.addEventListener('click', (e) => this._onNowPlayingClick(e));
+    this._elements.nowPlaying.addEventListener('keydown', (e) => this._onNowPlayingKeyDown(e));
+    this._elements.queueList.addEventListener('click', (e) => this._onQueueListClick(e));
 
     // Keyboard shortcuts (when player is focused)
     this._container.addEventListener('keydown', (e) => this._onKeyDown(e));
+
+    // Web Audio may only start from a user gesture - capture runs before any play button's handler
+    // (the graph is only built for a boost; see _onUserGesture)
+    document.addEventListener('click', () => this._onUserGesture(), true);
+    document.addEventListener('keydown', () => this._onUserGesture(), true);
+
+    // Waveform canvas is sized from layout - redraw when it changes
+    window.addEventListener('resize', () => this._drawWaveform());
+
+    // Offline, auto-queue only picks saved tracks - deal a fresh shuffle deck either way
+    window.addEventListener('offline', () => { this._shuffleDeck = []; });
+    window.addEventListener('online', () => { this._shuffleDeck = []; });
   },
 
-  // ==========================================================================
-  // PRIVATE METHODS - EVENT HANDLERS
-  // ==========================================================================
+  // ==========================================================================
+  // PRIVATE METHODS - EVENT HANDLERS
+  // ==========================================================================
+
+  /**
+   * Handle track ending
+   */
+  _onTrackEnded() {
+    // A loop that runs to the very end goes round again
+    if (this._isLooping()) {
+      this._audio.currentTime = this._loop.a;
+      this._audio.play();
+      return;
+    }
+
+    this._emit('ended');
+    this._updatePlayButton(false);
+    this._elements.seek.value = 0;
+    this._endListen({ completed: true });
+    this._forgetTrackPosition(this._currentTrack);
+
+    // Sleep timer set to end here - leave the next track for tomorrow
+    if (this._sleepEndsWithTrack()) {
+      this._fallAsleep();
+      return;
+    }
+
+    // Repeat-one wins, then a preloaded track (gapless), then queued tracks, then the playback mode's pick
+    if (this._playbackMode === 'repeat-one') {
+      this._startListen(this._currentTrack);
+      this._audio.currentTime = 0;
+      this._audio.play().catch(err => {
+        DurtNursUtils.debugError('DurtNursPlayer: Playback failed', err);
+        this._updatePlayButton(false);
+      });
+    } else if (this._isPreloadedUpcoming()) {
+      this._transitionToPreloaded({ crossfade: false });
+    } else if (this._queue.length > 0) {
+      this._playFromQueue();
+    } else if (this._playbackMode !== 'off') {
+      this._playNextTrack();
+    }
+  },
+
+  /**
+   * Handle time updates during playback
+   */
+  _onTimeUpdate() {
+    const { currentTime, duration } = this._audio;
+
+    if (duration && isFinite(duration)) {
+      // Jump back to A once we pass B
+      if (this._checkLoop(currentTime)) return;
+
+      // Update seek slider
+      const percent = (currentTime / duration) * 100;
+      this._elements.seek.value = percent;
+      this._elements.seek.setAttribute('aria-valuenow', Math.round(percent));
+      this._elements.seek.setAttribute('aria-valuetext', `${this._formatTime(currentTime)} of ${this._formatTime(duration)}`);
+      this._drawWaveform();
+
+      // Update time display
+      this._elements.time.textContent = `${this._formatTime(currentTime)} / ${this._formatTime(duration)}`;
+      this._elements.nowPlayingTime.textContent = this._elements.time.textContent;
+
+      // Keep lock-screen scrubber in sync
+      this._updateMediaSessionPosition();
+
+      this._trackListenProgress(currentTime, duration);
+      this._saveTrackPosition();
+
+      // Playing past the offered point makes the prompt moot
+      if (this._resumeOffer !== null && currentTime >= this._resumeOffer) {
+        this._hideResumeOffer();
+      }
+
+      // Preload / crossfade into the upcoming track
+      this._checkTransition(duration - currentTime);
+    }
+
+    this._highlightLyric(currentTime);
+    this._emit('timeupdate', { currentTime, duration });
+  },
+
+  /**
+   * Handle metadata loaded
+   */
+  _onMetadataLoaded() {
+    const { duration } = this._audio;
+
+    if (duration && isFinite(duration)) {
+      this._elements.time.textContent = `0:00 / ${this._formatTime(duration)}`;
+    }
+
+    // Loop markers are positioned as a fraction of the duration
+    this._renderLoop();
+  },
+
+  /**
+   * Handle audio errors
+   * Classifying and recovering happens in _handleTrackError.
+   */
+  _onAudioError() {
+    const { error } = this._audio;
+
+    // Clearing the source on stop fires an error too, and aborted loads aren't failures
+    if (!this._currentTrack || !error || error.code === error.MEDIA_ERR_ABORTED) return;
+
+    this._handleTrackError(error);
+  },
+
+  /**
+   * Handle seek slider input
+   */
+  _onSeekInput(e) {
+    const percent = e.target.value;
+    const { duration } = this._audio;
+
+    if (duration && isFinite(duration)) {
+      this._audio.currentTime = (percent / 100) * duration;
+    }
+  },
+
+  /**
+   * Handle volume slider input
+   */
+  _onVolumeInput(e) {
+    this._setVolume(e.target.value / 100);
+    this._saveVolumePreference(e.target.value);
+  },
+
+  /**
+   * Toggle mute
+   */
+  _toggleMute() {
+    const muted = !this._audio.muted;
+    this._audio.muted = muted;
+    this._nextAudio.muted = muted;
+    this._updateVolumeIcon(muted ? 0 : this._volume);
+  },
+
+  /**
+   * Set user volume on the active element and sync the slider/icon
+   * A running crossfade picks the new level up on its next step.
+   * @param {number} volume - 0 to 1
+   */
+  _setVolume(volume) {
+    this._volume = Math.min(1, Math.max(0, volume));
+
+    if (!this._fadeTimer) {
+      this._setElementVolume(this._audio);
+    }
+
+    this._elements.volume.value = Math.round(this._volume * 100);
+    this._elements.volume.setAttribute('aria-valuenow', Math.round(this._volume * 100));
+    this._updateVolumeIcon(this._volume);
+  },
+
+  /**
+   * Set an element's volume from the user volume, a fade level and its loudness cut
+   * @param {HTMLAudioElement} audio
+   * @param {number} [level=1] - Fade level (0-1)
+   */
+  _setElementVolume(audio, level = 1) {
+    const trim = this._volumeTrims.has(audio) ? this._volumeTrims.get(audio) : 1;
+    audio.volume = this._volume * level * trim;
+  },
+
+  /**
+   * Handle keyboard shortcuts
+   */
+  _onKeyDown(e) {
+    // Panel and prompt controls need Space/arrows for themselves - only Escape applies there
+    if (e.key !== 'Escape' && e.target.closest('.audio-player__panel, .audio-player__resume, .audio-player__remote, .audio-player__error')) return;
+
+    // Space on the artwork opens the now-playing view rather than toggling playback
+    if (e.key === ' ' && e.target.closest('.audio-player__artwork-btn')) return;
+
+    switch (e.key) {
+      case ' ':
+      case 'k':
+        e.preventDefault();
+        this.toggle();
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        this._audio.currentTime = Math.max(0, this._audio.currentTime - 5);
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        this._audio.currentTime = Math.min(this._audio.duration, this._audio.currentTime + 5);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this._setVolume(this._volume + 0.1);
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        this._setVolume(this._volume - 0.1);
+        break;
+      case 'm':
+        e.preventDefault();
+        this._toggleMute();
+        break;
+      case '[':
+        e.preventDefault();
+        this._setLoopPoint('a');
+        break;
+      case ']':
+        e.preventDefault();
+        this._setLoopPoint('b');
+        break;
+      case '\\':
+        e.preventDefault();
+        this._clearLoop();
+        break;
+      case '<':
+        e.preventDefault();
+        this._setPlaybackRate(this._playbackRate - this._RATE_STEP);
+        break;
+      case '>':
+        e.preventDefault();
+        this._setPlaybackRate(this._playbackRate + this._RATE_STEP);
+        break;
+      case 'Escape': {
+        e.preventDefault();
+        // Close an open panel first, stop on a second press
+        // (the embed can't be reopened once hidden, so it only closes panels)
+        const openPanel = this._getOpenPanel();
+        if (openPanel) {
+          this._togglePanel(openPanel, false);
+          this._elements[this._PANELS[openPanel].button].focus();
+        } else if (!this._isEmbed) {
+          this.stop();
+        }
+        break;
+      }
+    }
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - UI UPDATES
+  // ==========================================================================
+
+  /**
+   * Update track info display
+   */
+  _updateTrackInfo(trackData) {
+    this._elements.title.textContent = trackData.title || 'Unknown Track';
+    this._elements.artist.textContent = trackData.artist || 'tHE dURT nURS\'';
+
+    if (trackData.artwork) {
+      this._elements.artwork.src = trackData.artwork;
+      this._elements.artwork.alt = `${trackData.albumTitle || trackData.title} artwork`;
+    } else {
+      this._elements.artwork.src = '/assets/images/logo.png';
+      this._elements.artwork.alt = 'tHE dURT nURS\' logo';
+    }
+
+    this._updateMediaSessionMetadata(trackData);
+    this._loadLoop(trackData);
+    this._loadLyrics(trackData);
+    this._loadWaveform(trackData);
+    this._clearTrackError();
+    this._renderNowPlaying();
+    this._emit('trackchange');
+  },
+
+  /**
+   * Update play/pause button state
+   */
+  _updatePlayButton(isPlaying) {
+    this._elements.playBtn.setAttribute('aria-label', isPlaying ? 'Pause' : 'Play');
+    this._elements.nowPlayingPlayBtn.setAttribute('aria-label', isPlaying ? 'Pause' : 'Play');
+    this._container.classList.toggle('audio-player--playing', isPlaying);
+    this._elements.nowPlaying.classList.toggle('now-playing--playing', isPlaying);
+  },
+
+  /**
+   * Update volume icon based on level
+   */
+  _updateVolumeIcon(volume) {
+    const btn = this._elements.volumeBtn;
+
+    if (this._audio.muted || volume === 0) {
+      btn.setAttribute('aria-label', 'Unmute');
+      this._container.classList.add('audio-player--muted');
+    } else {
+      btn.setAttribute('aria-label', 'Mute');
+      this._container.classList.remove('audio-player--muted');
+    }
+  },
+
+  /**
+   * Show the player
+   */
+  _showPlayer() {
+    this._container.classList.remove('audio-player--hidden', 'audio-player--remote-only');
+    // Add padding to body to prevent content from being hidden behind player
+    // (the embed player is the page, not an overlay)
+    if (!this._isEmbed) {
+      document.body.style.paddingBottom = '80px';
+    }
+  },
+
+  /**
+   * Hide the player
+   */
+  _hidePlayer() {
+    this._container.classList.add('audio-player--hidden');
+    document.body.style.paddingBottom = '';
+    this._closePanels();
+    this._closeNowPlaying();
+  },
+
+  /**
+   * Open or close a panel above the player bar, closing any other
+   * @param {string} name - Key of _PANELS
+   * @param {boolean} [force] - Explicit open (true) or closed (false) state
+   */
+  _togglePanel(name, force) {
+    const isOpen = typeof force === 'boolean' ? force : this._elements[this._PANELS[name].panel].hidden;
+
+    for (const [key, { panel, button }] of Object.entries(this._PANELS)) {
+      const open = key === name && isOpen;
+      this._elements[panel].hidden = !open;
+      this._elements[button].setAttribute('aria-expanded', open);
+      this._container.classList.toggle(`audio-player--${key}-open`, open);
+    }
+
+    this._updateVisualizer();
+  },
+
+  /**
+   * Close every panel
+   */
+  _closePanels() {
+    const openPanel = this._getOpenPanel();
+    if (openPanel) this._togglePanel(openPanel, false);
+  },
+
+  /**
+   * Name of the open panel, if any
+   * @returns {string|null} Key of _PANELS
+   */
+  _getOpenPanel() {
+    return Object.keys(this._PANELS).find(key => !this._elements[this._PANELS[key].panel].hidden) || null;
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - EVENTS
+  // ==========================================================================
+
+  _EVENTS: ['trackchange', 'play', 'pause', 'timeupdate', 'ended', 'error', 'autoqueuechange'],
+
+  /**
+   * Call every handler subscribed to an event
+   * One failing handler doesn't stop the others (or the player).
+   * @param {string} event
+   * @param {Object} [detail] - Merged with { track }
+   */
+  _emit(event, detail = {}) {
+    const handlers = this._listeners[event];
+    if (!handlers || handlers.size === 0) return;
+
+    const payload = { track: this._currentTrack, ...detail };
+    handlers.forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        DurtNursUtils.debugError(`DurtNursPlayer: "${event}" handler failed`, error);
+      }
+    });
+  },
+
+  /**
+   * Update the elements registered with markPlaying()
+   */
+  _syncPlayingMarkers() {
+    const { currentTrack, isPlaying } = this.getState();
+    const audioFile = currentTrack ? currentTrack.audioFile : null;
+
+    this._playingMarkers.forEach((block, selector) => {
+      document.querySelectorAll(selector).forEach(element => {
+        const isCurrent = element.dataset.audioFile === audioFile;
+        element.classList.toggle(`${block}--current`, isCurrent);
+        element.classList.toggle(`${block}--playing`, isCurrent && isPlaying);
+
+        if (isCurrent) {
+          element.setAttribute('aria-current', 'true');
+        } else {
+          element.removeAttribute('aria-current');
+        }
+      });
+    });
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - UTILITIES
+  // ==========================================================================
+
+  /**
+   * Format seconds to MM:SS
+   */
+  _formatTime(seconds) {
+    if (!seconds || !isFinite(seconds)) return '0:00';
+
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  },
+
+  /**
+   * Check that track data has what playback needs
+   */
+  _isValidTrack(trackData) {
+    if (!trackData || !trackData.audioFile) {
+      DurtNursUtils.debugError('DurtNursPlayer: Missing audioFile in trackData');
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Escape text for safe insertion into generated HTML (content or quoted attributes)
+   */
+  _escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Load volume preference from localStorage
+   */
+  _loadVolumePreference() {
+    const savedVolume = localStorage.getItem('durtNursPlayerVolume');
+
+    if (savedVolume !== null) {
+      this._setVolume(parseInt(savedVolume, 10) / 100);
+    } else {
+      this._setVolume(0.8);
+    }
+  },
+
+  /**
+   * Save volume preference to localStorage
+   */
+  _saveVolumePreference(volume) {
+    if (this._isEmbed) return;
+    localStorage.setItem('durtNursPlayerVolume', volume);
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - PLAYBACK MODES
+  // ==========================================================================
+
+  /**
+   * Available playback modes, in the order the mode button cycles through them
+   */
+  _PLAYBACK_MODES: {
+    'off':        { label: 'Off',      description: 'Stop after this track' },
+    'sequential': { label: 'In Order', description: 'Play the catalog in order' },
+    'repeat-one': { label: 'Rpt 1',    description: 'Repeat this track' },
+    'repeat-all': { label: 'Rpt All',  description: 'Repeat the whole catalog' },
+    'shuffle':    { label: 'Shuffle',  description: 'Shuffle the catalog (no repeats until every track has played)' }
+  },
+
+  _MODE_STORAGE_KEY: 'durtNursPlayerMode',
+
+  /**
+   * Advance to the next playback mode
+   */
+  _cyclePlaybackMode() {
+    const modes = Object.keys(this._PLAYBACK_MODES);
+    const nextIndex = (modes.indexOf(this._playbackMode) + 1) % modes.length;
+    this._setPlaybackMode(modes[nextIndex]);
+  },
+
+  /**
+   * Switch playback mode, update UI and save the preference
+   * @param {string} mode - One of the _PLAYBACK_MODES keys
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - Persist to localStorage
+   */
+  _setPlaybackMode(mode, { save = true } = {}) {
+    if (!this._PLAYBACK_MODES[mode]) mode = 'off';
+
+    this._playbackMode = mode;
+    this._shuffleDeck = [];
+    this._updateModeButton();
+
+    if (save) {
+      this._savePlaybackModePreference();
+    }
+
+    // Load track catalog for any mode that picks tracks on its own
+    if (mode !== 'off' && !this._catalogLoaded) {
+      this._loadTrackCatalog();
+    }
+
+    this._renderNowPlayingUpcoming();
+    this._emit('autoqueuechange', { mode });
+    DurtNursUtils.debug(`🔀 Playback mode: ${mode}`);
+  },
+
+  /**
+   * Update mode button UI state
+   */
+  _updateModeButton() {
+    const btn = this._elements.modeBtn;
+    const { label, description } = this._PLAYBACK_MODES[this._playbackMode];
+
+    this._elements.modeLabel.textContent = label;
+    btn.setAttribute('aria-label', `Playback mode: ${label}`);
+    btn.setAttribute('title', `${description} (click to change)`);
+    this._container.dataset.playbackMode = this._playbackMode;
+  },
+
+  /**
+   * Load playback mode preference from localStorage
+   * Migrates the old on/off auto-queue preference (random play) to shuffle.
+   */
+  _loadPlaybackModePreference() {
+    let saved = localStorage.getItem(this._MODE_STORAGE_KEY);
+
+    if (saved === null) {
+      const legacyAutoQueue = localStorage.getItem('durtNursPlayerAutoQueue');
+      if (legacyAutoQueue !== null) {
+        saved = legacyAutoQueue === 'true' ? 'shuffle' : 'off';
+        localStorage.removeItem('durtNursPlayerAutoQueue');
+        localStorage.setItem(this._MODE_STORAGE_KEY, saved);
+      }
+    }
+
+    this._setPlaybackMode(saved || 'off', { save: false });
+  },
+
+  /**
+   * Save playback mode preference to localStorage
+   */
+  _savePlaybackModePreference() {
+    localStorage.setItem(this._MODE_STORAGE_KEY, this._playbackMode);
+  },
+
+  /**
+   * Load all available tracks from releases.json
+   * Returns a Promise that resolves when the catalog is ready.
+   * Stores the in-flight Promise so callers can await it without triggering duplicate fetches.
+   */
+  _loadTrackCatalog() {
+    if (!this._catalogLoadPromise) {
+      this._catalogLoadPromise = (async () => {
+        try {
+          const data = await DurtNursUtils.fetchJSON('/assets/data/releases.json');
+          this._trackCatalog = [];
+
+          // Extract all tracks with audio
+          for (const release of data.releases) {
+            for (const track of release.tracklist) {
+              if (track.hasAudio && track.audioFile) {
+                this._trackCatalog.push({
+                  title: track.title,
+                  audioFile: track.audioFile,
+                  duration: track.duration,
+                  artwork: track.artwork || release.coverArt,
+                  artworkVideo: track.artworkVideo || release.coverArtVideo,
+                  albumTitle: release.title,
+                  artist: release.artist,
+                  releaseId: release.id,
+                  lyricsFile: track.lyricsFile,
+                  lyrics: track.lyrics
+                });
+              }
+            }
+          }
+
+          this._catalogLoaded = true;
+          DurtNursUtils.debug(`📚 Loaded ${this._trackCatalog.length} tracks for auto-queue`);
+
+        } catch (error) {
+          DurtNursUtils.debugError('❌ Failed to load track catalog:', error);
+        }
+      })();
+    }
+
+    return this._catalogLoadPromise || Promise.resolve();
+  },
+
+  /**
+   * Look up the catalog entry for an audio file
+   * Fills in fields that callers like the about page don't pass (releaseId, lyrics).
+   * @param {string} audioFile
+   * @returns {Promise<Object|null>} Catalog track, or null if not in releases.json
+   */
+  async _findCatalogTrack(audioFile) {
+    await this._loadTrackCatalog();
+    return this._trackCatalog.find(track => track.audioFile === audioFile) || null;
+  },
+
+  /**
+   * Play the next catalog track according to the playback mode
+   * @param {Object} [options]
+   * @param {boolean} [options.manual=false] - User skipped (repeat-one moves on instead of repeating)
+   */
+  async _playNextTrack({ manual = false } = {}) {
+    // Ensure catalog is loaded; safe to call repeatedly (returns cached Promise)
+    await this._loadTrackCatalog();
+
+    if (this._trackCatalog.length === 0) {
+      DurtNursUtils.debugWarn('No tracks available for auto-queue');
+      return;
+    }
+
+    const mode = manual && this._playbackMode === 'repeat-one' ? 'repeat-all' : this._playbackMode;
+    const nextTrack = this._pickNextTrack(mode);
+
+    if (!nextTrack) {
+      DurtNursUtils.debug('⏹️ End of catalog');
+      return;
+    }
+
+    // Same track (repeat-one, or a one-track catalog) - restart rather than reload
+    if (this._currentTrack && nextTrack.audioFile === this._currentTrack.audioFile) {
+      this._audio.currentTime = 0;
+      this._audio.play().catch(err => {
+        DurtNursUtils.debugError('DurtNursPlayer: Playback failed', err);
+        this._updatePlayButton(false);
+      });
+      return;
+    }
+
+    DurtNursUtils.debug(`⏭️ Auto-queuing: ${nextTrack.title}`);
+    this.play(nextTrack);
+  },
+
+  /**
+   * Pick the catalog track that follows the current one for a mode
+   * Assumes the catalog is loaded.
+   * @param {string} mode - Playback mode
+   * @returns {Object|null} Next track, or null when playback should stop
+   */
+  _pickNextTrack(mode) {
+    const catalog = this._getPlayableCatalog();
+    if (catalog.length === 0) return null;
+
+    const currentIndex = this._currentTrack
+      ? catalog.findIndex(track => track.audioFile === this._currentTrack.audioFile)
+      : -1;
+
+    switch (mode) {
+      case 'sequential':
+        return catalog[currentIndex + 1] || null;
+      case 'repeat-one':
+        return this._currentTrack;
+      case 'repeat-all':
+        return catalog[(currentIndex + 1) % catalog.length];
+      case 'shuffle':
+        return this._drawFromShuffleDeck();
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Catalog tracks that can play right now
+   * Without a connection that's only the ones saved for offline (see offline.js).
+   * @returns {Object[]}
+   */
+  _getPlayableCatalog() {
+    if (navigator.onLine !== false || typeof DurtNursOffline === 'undefined') {
+      return this._trackCatalog;
+    }
+
+    return this._trackCatalog.filter(track => DurtNursOffline.isSaved(track.audioFile));
+  },
+
+  /**
+   * Draw the next track from the shuffle deck
+   * The deck is a shuffled copy of the catalog, so every track plays once
+   * before any repeats. A fresh deck never starts with the track that just played.
+   * @returns {Object|null} Next track
+   */
+  _drawFromShuffleDeck() {
+    if (this._shuffleDeck.length === 0) {
+      this._shuffleDeck = this._buildShuffleDeck();
+    }
+
+    return this._shuffleDeck.pop() || this._currentTrack;
+  },
+
+  /**
+   * Build a new shuffle deck (Fisher-Yates) from the whole catalog
+   * Tracks are drawn with pop(), so the end of the array plays first. The current
+   * track stays in the deck but is never dealt first.
+   * @returns {Object[]} Shuffled tracks
+   */
+  _buildShuffleDeck() {
+    const deck = [...this._getPlayableCatalog()];
+
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+
+    // Swap the current track out of the top of the deck, to anywhere below it
+    const top = deck.length - 1;
+    if (top > 0 && this._currentTrack && deck[top].audioFile === this._currentTrack.audioFile) {
+      const j = Math.floor(Math.random() * top);
+      [deck[top], deck[j]] = [deck[j], deck[top]];
+    }
+
+    DurtNursUtils.debug(`🃏 New shuffle deck: ${deck.length} tracks`);
+    return deck;
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - PLAY QUEUE
+  // ==========================================================================
+
+  /**
+   * Play the first queued track, removing it from the queue
+   */
+  _playFromQueue() {
+    const nextTrack = this._queue.shift();
+    this._onQueueChanged();
+
+    DurtNursUtils.debug(`⏭️ Playing from queue: ${nextTrack.title}`);
+    this.play(nextTrack);
+  },
+
+  /**
+   * Refresh queue UI and persist after any queue mutation
+   */
+  _onQueueChanged() {
+    this._renderQueue();
+    this._renderNowPlayingUpcoming();
+    this._savePlaybackState();
+  },
+
+  /**
+   * Render the queue drawer list and count badge
+   */
+  _renderQueue() {
+    const { queueList, queueEmpty, queueCount, queueBtn, queueClearBtn } = this._elements;
+    const length = this._queue.length;
+
+    queueList.innerHTML = this._queue.map((track, index) => `
+      <li class="audio-player__queue-item">
+        <button class="audio-player__queue-play" type="button" data-action="play" data-index="${index}" aria-label="Play ${this._escapeHTML(track.title)} now">
+          <span class="audio-player__queue-item-title">${this._escapeHTML(track.title || 'Unknown Track')}</span>
+          <span class="audio-player__queue-item-album">${this._escapeHTML(track.albumTitle || track.artist || '')}</span>
+        </button>
+        <button class="audio-player__queue-action" type="button" data-action="up" data-index="${index}" aria-label="Move ${this._escapeHTML(track.title)} up"${index === 0 ? ' disabled' : ''}>&uarr;</button>
+        <button class="audio-player__queue-action" type="button" data-action="down" data-index="${index}" aria-label="Move ${this._escapeHTML(track.title)} down"${index === length - 1 ? ' disabled' : ''}>&darr;</button>
+        <button class="audio-player__queue-action" type="button" data-action="remove" data-index="${index}" aria-label="Remove ${this._escapeHTML(track.title)} from queue">&times;</button>
+      </li>
+    `).join('');
+
+    queueEmpty.hidden = length > 0;
+    queueClearBtn.hidden = length === 0;
+    queueCount.textContent = length > 0 ? length : '';
+    queueBtn.setAttribute('aria-label', length > 0 ? `Show queue (${length} tracks)` : 'Show queue');
+  },
+
+  /**
+   * Handle clicks on queue item controls (event delegation)
+   */
+  _onQueueListClick(e) {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const index = parseInt(btn.dataset.index, 10);
+    if (isNaN(index)) return;
+
+    switch (btn.dataset.action) {
+      case 'play': {
+        const [track] = this._queue.splice(index, 1);
+        this._onQueueChanged();
+        if (track) this.play(track);
+        break;
+      }
+      case 'up':
+        this.reorder(index, index - 1);
+        this._focusQueueAction('up', index - 1);
+        break;
+      case 'down':
+        this.reorder(index, index + 1);
+        this._focusQueueAction('down', index + 1);
+        break;
+      case 'remove':
+        this.removeFromQueue(index);
+        this._focusQueueAction('remove', Math.min(index, this._queue.length - 1));
+        break;
+    }
+  },
+
+  /**
+   * Restore focus to a queue control after the list re-renders
+   * Keeps keyboard users in place while reordering
+   */
+  _focusQueueAction(action, index) {
+    const target = this._elements.queueList.querySelector(`button[data-action="${action}"][data-index="${index}"]`);
+
+    if (target && !target.disabled) {
+      target.focus();
+    } else {
+      this._elements.queueBtn.focus();
+    }
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - TRANSITIONS (GAPLESS / CROSSFADE)
+  // ==========================================================================
+
+  _CROSSFADE_STORAGE_KEY: 'durtNursPlayerCrossfade',
+  _PRELOAD_LEAD_SECONDS: 20,    // Start buffering the next track this long before the end
+  _FADE_STEP_MS: 50,            // Crossfade volume step interval
+
+  /**
+   * Called on every timeupdate with the time left in the current track
+   * Keeps the standby element loaded with the upcoming track and starts
+   * the crossfade when we reach the fade window.
+   * @param {number} remaining - Seconds left in the current track
+   */
+  _checkTransition(remaining) {
+    // While looping the track never reaches its end; a sleep timer ending here stops instead
+    if (this._fadeTimer || this._isLooping() || this._sleepEndsWithTrack()) return;
+
+    if (remaining > this._PRELOAD_LEAD_SECONDS + this._crossfadeSeconds) return;
+
+    const upcoming = this._peekUpcomingTrack();
+    if (!upcoming) {
+      if (this._preloadedTrack) this._resetStandby();
+      return;
+    }
+
+    // Upcoming track changed (queue edited, mode switched) - reload the standby
+    if (!this._preloadedTrack || this._preloadedTrack.audioFile !== upcoming.audioFile) {
+      this._preloadTrack(upcoming);
+    }
+
+    if (this._crossfadeSeconds > 0 && remaining <= this._crossfadeSeconds && !this._nextAudio.error) {
+      this._transitionToPreloaded({ crossfade: true });
+    }
+  },
+
+  /**
+   * Work out which track plays next, without taking it off the queue or deck
+   * @returns {Object|null} Upcoming track, or null if playback stops or repeats
+   */
+  _peekUpcomingTrack() {
+    if (this._playbackMode === 'repeat-one') return null;
+
+    let upcoming = null;
+
+    if (this._queue.length > 0) {
+      upcoming = this._queue[0];
+    } else if (this._playbackMode !== 'off') {
+      if (!this._catalogLoaded) {
+        this._loadTrackCatalog();
+        return null;
+      }
+
+      if (this._playbackMode === 'shuffle') {
+        if (this._shuffleDeck.length === 0) {
+          this._shuffleDeck = this._buildShuffleDeck();
+        }
+        upcoming = this._shuffleDeck[this._shuffleDeck.length - 1] || null;
+      } else {
+        upcoming = this._pickNextTrack(this._playbackMode);
+      }
+    }
+
+    // Same file again (e.g. one-track catalog) is a restart, not a transition
+    if (upcoming && this._currentTrack && upcoming.audioFile === this._currentTrack.audioFile) {
+      return null;
+    }
+
+    return upcoming;
+  },
+
+  /**
+   * Whether the standby element holds the track that should play next
+   */
+  _isPreloadedUpcoming() {
+    // A standby that failed to load gets a fresh attempt (and error handling) on the active element
+    if (this._nextAudio.error) return false;
+
+    const upcoming = this._peekUpcomingTrack();
+    return Boolean(upcoming && this._preloadedTrack && upcoming.audioFile === this._preloadedTrack.audioFile);
+  },
+
+  /**
+   * Start buffering a track in the standby element
+   */
+  _preloadTrack(trackData) {
+    this._preloadedTrack = trackData;
+    this._nextAudio.src = trackData.audioFile;
+    this._nextAudio.load();
+    this._applyLoudness(this._nextAudio, trackData);
+    DurtNursUtils.debug(`⏳ Preloading: ${trackData.title}`);
+  },
+
+  /**
+   * Swap to the preloaded track
+   * Gapless: the old element stops and the new one starts immediately.
+   * Crossfade: both play while volumes ramp over _crossfadeSeconds.
+   * @param {Object} options
+   * @param {boolean} options.crossfade - Fade between tracks instead of cutting
+   */
+  _transitionToPreloaded({ crossfade }) {
+    const track = this._preloadedTrack;
+    const outgoing = this._audio;
+    const incoming = this._nextAudio;
+
+    this._takeUpcomingTrack(track);
+    this._pushHistory();
+
+    // A crossfade cuts the last few seconds - that still counts as finishing
+    this._endListen({ completed: crossfade });
+    this._forgetTrackPosition(this._currentTrack);
+    this._hideResumeOffer();
+    this._startListen(track);
+
+    // Swap roles - from here on, events from the outgoing element are ignored
+    this._currentTrack = track;
+    this._audio = incoming;
+    this._nextAudio = outgoing;
+    this._preloadedTrack = null;
+
+    this._updateTrackInfo(track);
+    this._onMetadataLoaded();
+
+    incoming.muted = outgoing.muted;
+    this._setElementVolume(incoming, crossfade ? 0 : 1);
+    incoming.play().catch(err => {
+      DurtNursUtils.debugError('DurtNursPlayer: Playback failed', err);
+      this._updatePlayButton(false);
+    });
+
+    if (crossfade) {
+      this._runCrossfade(outgoing, incoming);
+    } else {
+      this._releaseElement(outgoing);
+    }
+
+    DurtNursUtils.debug(`${crossfade ? '🔀 Crossfading' : '⏭️ Gapless'} into: ${track.title}`);
+  },
+
+  /**
+   * Ramp the outgoing element down and the incoming one up
+   * Uses a timer rather than requestAnimationFrame so fades still finish
+   * with the screen locked (rAF pauses in background tabs).
+   * Note: iOS ignores element volume, so there the tracks overlap without fading.
+   */
+  _runCrossfade(outgoing, incoming) {
+    const durationMs = this._crossfadeSeconds * 1000;
+    const startedAt = Date.now();
+
+    this._fadeTimer = setInterval(() => {
+      const progress = Math.min(1, (Date.now() - startedAt) / durationMs);
+
+      this._setElementVolume(incoming, progress);
+      this._setElementVolume(outgoing, 1 - progress);
+
+      if (progress >= 1) {
+        this._finishCrossfade(outgoing);
+      }
+    }, this._FADE_STEP_MS);
+  },
+
+  /**
+   * End a crossfade: stop the old element and restore full volume
+   */
+  _finishCrossfade(outgoing) {
+    clearInterval(this._fadeTimer);
+    this._fadeTimer = null;
+
+    this._releaseElement(outgoing);
+    this._setElementVolume(this._audio);
+  },
+
+  /**
+   * Remove the upcoming track from the queue or shuffle deck once it starts
+   */
+  _takeUpcomingTrack(trackData) {
+    if (this._queue.length > 0 && this._queue[0].audioFile === trackData.audioFile) {
+      this._queue.shift();
+      this._onQueueChanged();
+      return;
+    }
+
+    const deckTop = this._shuffleDeck[this._shuffleDeck.length - 1];
+    if (deckTop && deckTop.audioFile === trackData.audioFile) {
+      this._shuffleDeck.pop();
+    }
+  },
+
+  /**
+   * Stop any crossfade and empty the standby element
+   * Called whenever playback is taken over manually.
+   */
+  _resetStandby() {
+    if (this._fadeTimer) {
+      clearInterval(this._fadeTimer);
+      this._fadeTimer = null;
+    }
+
+    this._releaseElement(this._nextAudio);
+    this._preloadedTrack = null;
+
+    if (this._audio) {
+      this._setElementVolume(this._audio);
+    }
+  },
+
+  /**
+   * Stop an element and drop its source so it stops buffering
+   */
+  _releaseElement(audio) {
+    if (!audio) return;
+
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+    this._setElementVolume(audio);
+  },
+
+  /**
+   * Handle crossfade slider input
+   */
+  _onCrossfadeInput(e) {
+    this._setCrossfade(parseInt(e.target.value, 10));
+    localStorage.setItem(this._CROSSFADE_STORAGE_KEY, this._crossfadeSeconds);
+  },
+
+  /**
+   * Set crossfade length and sync the settings control
+   * @param {number} seconds - 0 (gapless) to 10
+   */
+  _setCrossfade(seconds) {
+    this._crossfadeSeconds = Math.min(10, Math.max(0, seconds || 0));
+
+    const label = this._crossfadeSeconds === 0 ? 'Gapless' : `${this._crossfadeSeconds}s crossfade`;
+    this._elements.crossfade.value = this._crossfadeSeconds;
+    this._elements.crossfade.setAttribute('aria-valuetext', label);
+    this._elements.crossfadeValue.textContent = label;
+  },
+
+  /**
+   * Load crossfade preference from localStorage
+   */
+  _loadCrossfadePreference() {
+    const saved = localStorage.getItem(this._CROSSFADE_STORAGE_KEY);
+    this._setCrossfade(saved !== null ? parseInt(saved, 10) : 0);
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - SHARE LINKS
+  // ==========================================================================
+
+  /**
+   * Copy a deep link to the current track at the current time
+   * Tracks played without a releaseId (e.g. from the about page) are
+   * matched against the catalog by audio file.
+   */
+  async _copyTrackLink() {
+    const track = this._currentTrack;
+    if (!track) return;
+
+    const startTime = this._audio.currentTime;
+    let { releaseId } = track;
+
+    if (!releaseId) {
+      const catalogTrack = await this._findCatalogTrack(track.audioFile);
+      releaseId = catalogTrack && catalogTrack.releaseId;
+    }
+
+    if (!releaseId) {
+      this._showShareStatus('No link for this track');
+      return;
+    }
+
+    const url = window.location.origin + DurtNursUtils.trackURL(releaseId, track.title, startTime);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this._showShareStatus(`Link copied at ${this._formatTime(startTime)}`);
+      DurtNursUtils.debug(`🔗 Copied: ${url}`);
+    } catch (error) {
+      // Clipboard blocked (insecure context, permissions) - let them copy by hand
+      DurtNursUtils.debugWarn('DurtNursPlayer: Clipboard unavailable', error);
+      window.prompt('Copy this link:', url);
+    }
+  },
+
+  /**
+   * Show a short-lived status next to the share button
+   * The element is a polite live region, so screen readers hear it too.
+   */
+  _showShareStatus(message) {
+    clearTimeout(this._shareStatusTimer);
+    this._elements.shareStatus.textContent = message;
+
+    this._shareStatusTimer = setTimeout(() => {
+      this._elements.shareStatus.textContent = '';
+    }, 2500);
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - WAVEFORM
+  // ==========================================================================
+
+  /**
+   * Fetch the peaks manifest (once) and show the waveform for a track
+   * Tracks without peaks keep the plain range slider.
+   * @param {Object} trackData
+   */
+  async _loadWaveform(trackData) {
+    this._currentPeaks = null;
+    this._container.classList.remove('audio-player--waveform');
+
+    if (!this._waveformLoadPromise) {
+      this._waveformLoadPromise = DurtNursUtils.fetchJSON('/assets/data/waveforms.json')
+        .then(data => { this._waveforms = data.tracks || {}; })
+        .catch(error => {
+          DurtNursUtils.debugWarn('DurtNursPlayer: No waveform data', error);
+          this._waveforms = {};
+        });
+    }
+
+    await this._waveformLoadPromise;
+
+    // Track changed while we were fetching
+    if (!this._currentTrack || this._currentTrack.audioFile !== trackData.audioFile) return;
+
+    const peaks = this._waveforms[trackData.audioFile];
+    if (!Array.isArray(peaks) || peaks.length === 0) return;
+
+    this._currentPeaks = peaks;
+    this._container.classList.add('audio-player--waveform');
+    this._drawWaveform();
+  },
+
+  /**
+   * Draw the waveform with played and buffered regions
+   * Bars left of the playhead use the brand color, buffered bars are
+   * brass, and the rest stay iron gray.
+   */
+  _drawWaveform() {
+    const peaks = this._currentPeaks;
+    const canvas = this._elements.waveform;
+    if (!peaks || !canvas) return;
+
+    // Match the backing store to the displayed size for crisp bars
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (!width || !height) return;
+
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const { currentTime, duration, buffered } = this._audio;
+    const hasDuration = duration && isFinite(duration);
+    const played = hasDuration ? currentTime / duration : 0;
+
+    // Buffered ranges as fractions of the track
+    const bufferedRanges = [];
+    if (hasDuration) {
+      for (let i = 0; i < buffered.length; i++) {
+        bufferedRanges.push([buffered.start(i) / duration, buffered.end(i) / duration]);
+      }
+    }
+
+    const styles = getComputedStyle(this._container);
+    const colors = {
+      played: styles.getPropertyValue('--color-aged-whiskey').trim() || '#A05A24',
+      buffered: styles.getPropertyValue('--color-tarnished-brass').trim() || '#8B7A43',
+      pending: styles.getPropertyValue('--color-iron-gray').trim() || '#3A3F45'
+    };
+
+    const barWidth = width / peaks.length;
+    const gap = barWidth > 2 * ratio ? ratio : 0;
+
+    ctx.clearRect(0, 0, width, height);
+
+    peaks.forEach((peak, i) => {
+      const position = (i + 0.5) / peaks.length;
+      const barHeight = Math.max(ratio, (peak / 100) * height);
+
+      if (position <= played) {
+        ctx.fillStyle = colors.played;
+      } else if (bufferedRanges.some(([start, end]) => position >= start && position <= end)) {
+        ctx.fillStyle = colors.buffered;
+      } else {
+        ctx.fillStyle = colors.pending;
+      }
+
+      ctx.fillRect(i * barWidth, (height - barHeight) / 2, barWidth - gap, barHeight);
+    });
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - LYRICS
+  // ==========================================================================
+
+  /**
+   * Load and render lyrics for a track
+   * Uses the track's own lyricsFile/lyrics fields, falling back to the
+   * catalog entry with the same audioFile (e.g. tracks played from the about page).
+   * @param {Object} trackData
+   */
+  async _loadLyrics(trackData) {
+    const { audioFile } = trackData;
+
+    this._lyrics = { audioFile, lines: [], synced: false };
+    this._renderLyrics();
+
+    if (!this._lyricsCache[audioFile]) {
+      let source = trackData;
+
+      if (!source.lyricsFile && !source.lyrics) {
+        source = (await this._findCatalogTrack(audioFile)) || source;
+      }
+
+      try {
+        let text = source.lyrics || '';
+
+        if (source.lyricsFile) {
+          const response = await fetch(source.lyricsFile);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          text = await response.text();
+        }
+
+        this._lyricsCache[audioFile] = this._parseLyrics(text);
+      } catch (error) {
+        DurtNursUtils.debugError(`❌ Failed to load lyrics for ${trackData.title}:`, error);
+        this._lyricsCache[audioFile] = { lines: [], synced: false };
+      }
+    }
+
+    // Track changed while we were fetching
+    if (!this._currentTrack || this._currentTrack.audioFile !== audioFile) return;
+
+    this._lyrics = { audioFile, ...this._lyricsCache[audioFile] };
+    this._renderLyrics();
+    this._highlightLyric(this._audio.currentTime);
+  },
+
+  /**
+   * Parse LRC or plain-text lyrics
+   * LRC lines look like "[01:23.45]Lyric text"; a line may carry several
+   * timestamps. ID tags ([ar:], [ti:]...) are skipped, and [offset:+/-ms]
+   * shifts every line. Text with no timestamps is treated as plain lyrics.
+   * @param {string} text
+   * @returns {{lines: Array<{time: number|null, text: string}>, synced: boolean}}
+   */
+  _parseLyrics(text) {
+    const timestampPattern = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+    const rawLines = text.replace(/\r\n?/g, '\n').split('\n');
+    const timed = [];
+    let offset = 0;
+
+    for (const rawLine of rawLines) {
+      const offsetMatch = rawLine.match(/^\[offset:\s*([+-]?\d+)\]/i);
+      if (offsetMatch) {
+        offset = parseInt(offsetMatch[1], 10) / 1000;
+        continue;
+      }
+
+      const times = [...rawLine.matchAll(timestampPattern)]
+        .map(([, min, sec]) => parseInt(min, 10) * 60 + parseFloat(sec.replace(':', '.')));
+      if (times.length === 0) continue;
+
+      const lineText = rawLine.replace(timestampPattern, '').trim();
+      times.forEach(time => timed.push({ time, text: lineText }));
+    }
+
+    if (timed.length > 0) {
+      // Positive offset means lyrics appear earlier
+      const lines = timed
+        .map(line => ({ time: Math.max(0, line.time - offset), text: line.text }))
+        .sort((a, b) => a.time - b.time);
+      return { lines, synced: true };
+    }
+
+    // Plain text - drop ID tags, keep blank lines as verse breaks
+    const lines = rawLines
+      .filter(line => !/^\[[a-z]+:.*\]$/i.test(line.trim()))
+      .map(line => ({ time: null, text: line.trim() }));
+
+    while (lines.length && !lines[0].text) lines.shift();
+    while (lines.length && !lines[lines.length - 1].text) lines.pop();
+
+    return { lines, synced: false };
+  },
+
+  /**
+   * Render the lyrics panel for the current lyrics
+   */
+  _renderLyrics() {
+    const { lines = [], synced = false } = this._lyrics || {};
+    const list = this._elements.lyricsList;
+
+    this._activeLyricIndex = -1;
+    list.innerHTML = lines.map((line, index) => {
+      if (!line.text) {
+        return '<li class="audio-player__lyrics-line audio-player__lyrics-line--break" aria-hidden="true"></li>';
+      }
+
+      const text = this._escapeHTML(line.text);
+      return synced
+        ? `<li class="audio-player__lyrics-line" data-index="${index}">
+            <button type="button" class="audio-player__lyrics-seek" data-time="${line.time}" aria-label="${text} (jump to ${this._formatTime(line.time)})">${text}</button>
+          </li>`
+        : `<li class="audio-player__lyrics-line">${text}</li>`;
+    }).join('');
+
+    const hasLyrics = lines.length > 0;
+    list.hidden = !hasLyrics;
+    this._elements.lyricsEmpty.hidden = hasLyrics;
+    this._container.classList.toggle('audio-player--has-lyrics', hasLyrics);
+    this._elements.lyricsPanel.classList.toggle('audio-player__lyrics--synced', synced);
+  },
+
+  /**
+   * Highlight the synced line for the given playback time
+   * @param {number} currentTime - Seconds
+   */
+  _highlightLyric(currentTime) {
+    if (!this._lyrics || !this._lyrics.synced) return;
+
+    const { lines } = this._lyrics;
+    let index = -1;
+    for (let i = 0; i < lines.length && lines[i].time <= currentTime; i++) {
+      index = i;
+    }
+
+    if (index === this._activeLyricIndex) return;
+
+    const list = this._elements.lyricsList;
+    const previous = list.querySelector('.audio-player__lyrics-line--active');
+    if (previous) {
+      previous.classList.remove('audio-player__lyrics-line--active');
+      previous.removeAttribute('aria-current');
+    }
+
+    this._activeLyricIndex = index;
+    const current = list.querySelector(`[data-index="${index}"]`);
+    if (!current) return;
+
+    current.classList.add('audio-player__lyrics-line--active');
+    current.setAttribute('aria-current', 'true');
+
+    // Keep the line centred in the panel without scrolling the page
+    if (!this._elements.lyricsPanel.hidden) {
+      const panel = this._elements.lyricsPanel;
+      panel.scrollTop = current.offsetTop - (panel.clientHeight - current.offsetHeight) / 2;
+    }
+  },
+
+  /**
+   * Seek to a synced line when it is clicked (event delegation)
+   */
+  _onLyricsClick(e) {
+    const btn = e.target.closest('.audio-player__lyrics-seek');
+    if (!btn) return;
+
+    const time = parseFloat(btn.dataset.time);
+    if (isNaN(time)) return;
+
+    this._audio.currentTime = time;
+    if (this._audio.paused) this.toggle();
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - WEB AUDIO & VISUALIZER
+  // ==========================================================================
+
+  _VISUALIZER_STORAGE_KEY: 'durtNursPlayerVisualizer',
+  _SPECTRUM_BARS: 48,
+
+  /**
+   * Route both audio elements through an AudioContext (gain -> analyser)
+   * Only call from a user gesture (see _onUserGesture, _onVisualizerClick) - never at
+   * page load: an element feeding a suspended context is silent until a
+   * gesture lets it resume. Built only for loudness boosts and the visualizer:
+   * iOS mutes Web Audio in background tabs and on the lock screen.
+   * @returns {AnalyserNode|null}
+   */
+  _setupAudioGraph() {
+    if (this._analyser) return this._analyser;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass || !this._audio) return null;
+
+    try {
+      // Resume while the gesture is still active, before any element is routed in
+      this._audioContext = new AudioContextClass();
+      this._resumeAudioContext();
+
+      this._analyser = this._audioContext.createAnalyser();
+      this._analyser.fftSize = 2048;
+      this._analyser.smoothingTimeConstant = 0.8;
+
+      // Each element gets its own gain (tracks in a crossfade need different
+      // loudness corrections); both feed the analyser, so it sees the mix
+      this._gainNodes = new Map();
+      [this._audio, this._nextAudio].forEach(audio => {
+        const gain = this._audioContext.createGain();
+        this._audioContext.createMediaElementSource(audio).connect(gain);
+        gain.connect(this._analyser);
+        this._gainNodes.set(audio, gain);
+      });
+      this._analyser.connect(this._audioContext.destination);
+
+      DurtNursUtils.debug('🎛️ Web Audio graph ready');
+
+      // Pick up boosts that were waiting for the graph
+      this._boosts.forEach((boost, audio) => {
+        this._gainNodes.get(audio).gain.value = boost;
+      });
+    } catch (error) {
+      DurtNursUtils.debugError('DurtNursPlayer: Web Audio unavailable', error);
+      this._audioContext = null;
+      this._analyser = null;
+      this._gainNodes = null;
+    }
+
+    return this._analyser;
+  },
+
+  /**
+   * Click or key press: build the graph if a loaded track is waiting on a boost, and wake a suspended context
+   */
+  _onUserGesture() {
+    if (!this._analyser && this._boosts.size) this._setupAudioGraph();
+    this._resumeAudioContext();
+  },
+
+  /**
+   * Visualizer button: opening it builds the graph, from this click
+   */
+  _onVisualizerClick() {
+    if (this._elements.visualizerPanel.hidden) this._setupAudioGraph();
+    this._togglePanel('visualizer');
+  },
+
+  /**
+   * Resume a suspended AudioContext (autoplay policy) when playback starts
+   */
+  _resumeAudioContext() {
+    if (this._audioContext && this._audioContext.state === 'suspended') {
+      this._audioContext.resume().catch(err => {
+        DurtNursUtils.debugWarn('DurtNursPlayer: Could not resume audio context', err);
+      });
+    }
+  },
+
+  /**
+   * Start or stop drawing depending on whether the visualizer panel is open
+   * Reduced-motion users get a note instead of animation.
+   */
+  _updateVisualizer() {
+    const isOpen = !this._elements.visualizerPanel.hidden;
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    if (!isOpen || reducedMotion) {
+      this._stopVisualizer();
+      this._showVisualizerNote(isOpen && reducedMotion
+        ? 'The visualizer is off because your device is set to reduce motion.'
+        : '');
+      return;
+    }
+
+    if (!this._analyser) {
+      this._showVisualizerNote('Your browser can\'t run the visualizer.');
+      return;
+    }
+
+    this._showVisualizerNote('');
+    if (!this._visualizerFrame) this._drawVisualizerFrame();
+  },
+
+  /**
+   * Show a message in place of the visualizer canvas (empty string hides it)
+   */
+  _showVisualizerNote(message) {
+    this._elements.visualizerNote.textContent = message;
+    this._elements.visualizerNote.hidden = !message;
+    this._elements.visualizerCanvas.hidden = Boolean(message);
+  },
+
+  /**
+   * Stop the animation loop
+   */
+  _stopVisualizer() {
+    if (this._visualizerFrame) {
+      cancelAnimationFrame(this._visualizerFrame);
+      this._visualizerFrame = null;
+    }
+  },
+
+  /**
+   * Draw one frame and schedule the next
+   * requestAnimationFrame already pauses in background tabs.
+   */
+  _drawVisualizerFrame() {
+    this._visualizerFrame = requestAnimationFrame(() => this._drawVisualizerFrame());
+
+    const canvas = this._elements.visualizerCanvas;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (!width || !height) return;
+
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const styles = getComputedStyle(this._container);
+    const whiskey = styles.getPropertyValue('--color-aged-whiskey').trim() || '#A05A24';
+    const brass = styles.getPropertyValue('--color-tarnished-brass').trim() || '#8B7A43';
+
+    ctx.clearRect(0, 0, width, height);
+
+    if (this._visualizerStyle === 'scope') {
+      this._drawScope(ctx, width, height, ratio, brass, whiskey);
+    } else {
+      this._drawSpectrum(ctx, width, height, whiskey, brass);
+    }
+  },
+
+  /**
+   * Frequency bars rising from the bottom, whiskey to brass
+   * Bins are grouped logarithmically so bass doesn't get squashed into one bar.
+   */
+  _drawSpectrum(ctx, width, height, whiskey, brass) {
+    const data = new Uint8Array(this._analyser.frequencyBinCount);
+    this._analyser.getByteFrequencyData(data);
+
+    const bars = this._SPECTRUM_BARS;
+    const barWidth = width / bars;
+    const gradient = ctx.createLinearGradient(0, height, 0, 0);
+    gradient.addColorStop(0, whiskey);
+    gradient.addColorStop(1, brass);
+    ctx.fillStyle = gradient;
+
+    // Skip the top quarter of bins - little musical content up there
+    const usableBins = Math.floor(data.length * 0.75);
+
+    for (let i = 0; i < bars; i++) {
+      const start = Math.floor(Math.pow(usableBins, i / bars));
+      const end = Math.max(start + 1, Math.floor(Math.pow(usableBins, (i + 1) / bars)));
+      let max = 0;
+      for (let j = start; j < end; j++) {
+        if (data[j] > max) max = data[j];
+      }
+
+      const barHeight = (max / 255) * height;
+      ctx.fillRect(i * barWidth + 1, height - barHeight, barWidth - 2, barHeight);
+    }
+  },
+
+  /**
+   * Oscilloscope trace of the waveform
+   */
+  _drawScope(ctx, width, height, ratio, brass, whiskey) {
+    const data = new Uint8Array(this._analyser.fftSize);
+    this._analyser.getByteTimeDomainData(data);
+
+    ctx.lineWidth = 2 * ratio;
+    ctx.strokeStyle = brass;
+    ctx.shadowColor = whiskey;
+    ctx.shadowBlur = 8 * ratio;
+    ctx.beginPath();
+
+    const step = width / (data.length - 1);
+    data.forEach((value, i) => {
+      const y = (value / 255) * height;
+      if (i === 0) ctx.moveTo(0, y);
+      else ctx.lineTo(i * step, y);
+    });
+
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+  },
+
+  /**
+   * Switch between spectrum and oscilloscope
+   * @param {string} style - 'spectrum' or 'scope'
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - Persist to localStorage
+   */
+  _setVisualizerStyle(style, { save = true } = {}) {
+    if (style !== 'spectrum' && style !== 'scope') return;
+
+    this._visualizerStyle = style;
+    this._elements.visualizerStyleBtns.forEach(btn => {
+      btn.setAttribute('aria-pressed', btn.dataset.style === style);
+    });
+
+    if (save) {
+      localStorage.setItem(this._VISUALIZER_STORAGE_KEY, style);
+    }
+  },
+
+  /**
+   * Load visualizer style preference from localStorage
+   */
+  _loadVisualizerPreference() {
+    const saved = localStorage.getItem(this._VISUALIZER_STORAGE_KEY);
+    if (saved) this._setVisualizerStyle(saved, { save: false });
+
+    // Follow reduced-motion changes while the panel is open
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    if (motionQuery.addEventListener) {
+      motionQuery.addEventListener('change', () => this._updateVisualizer());
+    }
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - LOUDNESS NORMALIZATION
+  // ==========================================================================
+
+  _NORMALIZE_STORAGE_KEY: 'durtNursPlayerNormalize',
+
+  /**
+   * Set an element's gain from the loudness manifest for the track it holds
+   * Boosts are capped at the track's peak so they never clip.
+   * @param {HTMLAudioElement} audio
+   * @param {Object} trackData
+   */
+  async _applyLoudness(audio, trackData) {
+    if (!this._normalize) {
+      this._setElementGain(audio, 0);
+      return;
+    }
+
+    if (!this._loudnessLoadPromise) {
+      this._loudnessLoadPromise = DurtNursUtils.fetchJSON('/assets/data/loudness.json')
+        .then(data => { this._loudness = data.tracks || {}; })
+        .catch(error => {
+          DurtNursUtils.debugWarn('DurtNursPlayer: No loudness data', error);
+          this._loudness = {};
+        });
+    }
+
+    await this._loudnessLoadPromise;
+
+    // Element moved on to another track (or normalization was switched off)
+    if (!this._normalize || audio.getAttribute('src') !== trackData.audioFile) return;
+
+    const entry = this._loudness[trackData.audioFile];
+    let gainDb = entry && Number.isFinite(entry.gainDb) ? entry.gainDb : 0;
+    if (gainDb > 0 && Number.isFinite(entry.peakDb)) gainDb = Math.max(0, Math.min(gainDb, -entry.peakDb));
+    this._setElementGain(audio, gainDb);
+    DurtNursUtils.debug(`🔊 Loudness: ${trackData.title} ${gainDb >= 0 ? '+' : ''}${gainDb} dB`);
+  },
+
+  /**
+   * Set the gain applied to an element
+   * Cuts lower the element volume. Boosts need a gain node, so the graph is
+   * built for them - now if the gesture that started the track is still
+   * active, otherwise on the next click or key press.
+   * @param {HTMLAudioElement} audio
+   * @param {number} gainDb - 0 for unity gain
+   */
+  _setElementGain(audio, gainDb) {
+    const linear = Math.pow(10, gainDb / 20);
+
+    if (linear < 1) {
+      this._volumeTrims.set(audio, linear);
+    } else {
+      this._volumeTrims.delete(audio);
+    }
+
+    if (linear > 1) {
+      this._boosts.set(audio, linear);
+    } else {
+      this._boosts.delete(audio);
+    }
+
+    const gain = this._gainNodes && this._gainNodes.get(audio);
+    if (gain) {
+      gain.gain.value = Math.max(1, linear);
+    } else if (linear > 1 && navigator.userActivation && navigator.userActivation.isActive) {
+      this._setupAudioGraph();
+    }
+
+    // A running fade sets the volume on its next step
+    if (!this._fadeTimer) this._setElementVolume(audio);
+  },
+
+  /**
+   * Handle the "Even out loudness" checkbox
+   */
+  _onNormalizeChange(e) {
+    this._normalize = e.target.checked;
+    localStorage.setItem(this._NORMALIZE_STORAGE_KEY, this._normalize);
+
+    this._reapplyLoudness();
+  },
+
+  /**
+   * Re-apply gains to whatever is loaded right now, including a preloaded next track
+   */
+  _reapplyLoudness() {
+    if (this._currentTrack) this._applyLoudness(this._audio, this._currentTrack);
+    if (this._preloadedTrack) this._applyLoudness(this._nextAudio, this._preloadedTrack);
+  },
+
+  /**
+   * Load normalization preference from localStorage (on by default)
+   */
+  _loadNormalizePreference() {
+    this._normalize = localStorage.getItem(this._NORMALIZE_STORAGE_KEY) !== 'false';
+    this._elements.normalize.checked = this._normalize;
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - PRACTICE (SPEED & A-B LOOP)
+  // ==========================================================================
+
+  _PRACTICE_STORAGE_KEY: 'durtNursPlayerPractice',
+  _RATE_MIN: 0.5,
+  _RATE_MAX: 1.5,
+  _RATE_STEP: 0.05,
+  _LOOP_MIN_SECONDS: 1,       // Shortest loop allowed (B must be this far past A)
+
+  /**
+   * Set playback speed on both elements, keeping pitch
+   * defaultPlaybackRate is set too because load() resets playbackRate to it.
+   * @param {number} rate - 0.5 to 1.5
+   * @param {Object} [options]
+   * @param {boolean} [options.save=true] - Persist to sessionStorage
+   */
+  _setPlaybackRate(rate, { save = true } = {}) {
+    rate = Math.min(this._RATE_MAX, Math.max(this._RATE_MIN, Number(rate) || 1));
+    this._playbackRate = Math.round(rate * 100) / 100;
+
+    [this._audio, this._nextAudio].forEach(audio => {
+      audio.preservesPitch = true;
+      audio.webkitPreservesPitch = true; // Older Safari
+      audio.defaultPlaybackRate = this._playbackRate;
+      audio.playbackRate = this._playbackRate;
+    });
+
+    const percent = Math.round(this._playbackRate * 100);
+    this._elements.rate.value = percent;
+    this._elements.rate.setAttribute('aria-valuetext', `${percent}%`);
+    this._elements.rateValue.textContent = `${percent}%`;
+    this._elements.practiceRateLabel.textContent = `${this._playbackRate}\u00d7`;
+    this._updatePracticeIndicator();
+
+    if (save) this._savePracticeState();
+  },
+
+  /**
+   * Set loop start (A) or end (B) at the current time
+   * Setting B without A loops from the start of the track.
+   * @param {string} point - 'a' or 'b'
+   */
+  _setLoopPoint(point) {
+    if (!this._currentTrack) return;
+
+    const time = this._audio.currentTime;
+    const loop = this._loop || { a: 0, b: null };
+
+    if (point === 'a') {
+      // Moving A past B reopens the loop
+      const b = loop.b !== null && loop.b - time >= this._LOOP_MIN_SECONDS ? loop.b : null;
+      this._loop = { a: time, b };
+    } else {
+      if (time - loop.a < this._LOOP_MIN_SECONDS) {
+        this._elements.loopStatus.textContent = 'Loop end has to come after the start';
+        return;
+      }
+      this._loop = { a: loop.a, b: time };
+    }
+
+    this._loops[this._currentTrack.audioFile] = this._loop;
+    this._savePracticeState();
+    this._renderLoop();
+  },
+
+  /**
+   * Remove the current track's loop
+   */
+  _clearLoop() {
+    if (!this._currentTrack || !this._loop) return;
+
+    this._loop = null;
+    delete this._loops[this._currentTrack.audioFile];
+    this._savePracticeState();
+    this._renderLoop();
+  },
+
+  /**
+   * Whether a complete A-B loop is active
+   */
+  _isLooping() {
+    return Boolean(this._loop && this._loop.b !== null);
+  },
+
+  /**
+   * Jump back to A if playback has passed B
+   * @param {number} currentTime
+   * @returns {boolean} True if we jumped
+   */
+  _checkLoop(currentTime) {
+    if (!this._isLooping() || currentTime < this._loop.b) return false;
+
+    this._audio.currentTime = this._loop.a;
+    return true;
+  },
+
+  /**
+   * Pick up the saved loop when a track loads
+   * @param {Object} trackData
+   */
+  _loadLoop(trackData) {
+    this._loop = this._loops[trackData.audioFile] || null;
+    this._renderLoop();
+  },
+
+  /**
+   * Position the loop region on the seek bar and describe it in the panel
+   */
+  _renderLoop() {
+    const loop = this._loop;
+    const { duration } = this._audio;
+    const marker = this._elements.loopMarker;
+
+    if (!loop) {
+      marker.hidden = true;
+      this._elements.loopStatus.textContent = 'No loop set';
+    } else {
+      if (duration && isFinite(duration)) {
+        const end = loop.b !== null ? loop.b : loop.a;
+        marker.style.left = `${(loop.a / duration) * 100}%`;
+        marker.style.width = `${((end - loop.a) / duration) * 100}%`;
+        marker.classList.toggle('audio-player__loop--open', loop.b === null);
+        marker.hidden = false;
+      }
+
+      this._elements.loopStatus.textContent = loop.b !== null
+        ? `Looping ${this._formatTime(loop.a)} \u2013 ${this._formatTime(loop.b)}`
+        : `Loop starts at ${this._formatTime(loop.a)}. Set B to close it`;
+    }
+
+    this._updatePracticeIndicator();
+  },
+
+  /**
+   * Highlight the practice button while speed or a loop is changed from normal
+   */
+  _updatePracticeIndicator() {
+    this._container.classList.toggle('audio-player--practicing', this._playbackRate !== 1 || Boolean(this._loop));
+  },
+
+  /**
+   * Save speed and loops to sessionStorage
+   */
+  _savePracticeState() {
+    try {
+      sessionStorage.setItem(this._PRACTICE_STORAGE_KEY, JSON.stringify({
+        rate: this._playbackRate,
+        loops: this._loops
+      }));
+    } catch (error) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Could not save practice state', error);
+    }
+  },
+
+  /**
+   * Restore speed and loops from sessionStorage
+   */
+  _loadPracticeState() {
+    let saved = null;
+
+    try {
+      saved = JSON.parse(sessionStorage.getItem(this._PRACTICE_STORAGE_KEY));
+    } catch (error) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Ignoring unreadable practice state', error);
+    }
+
+    if (saved && saved.loops && typeof saved.loops === 'object') {
+      this._loops = saved.loops;
+    }
+
+    this._setPlaybackRate(saved ? saved.rate : 1, { save: false });
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - NOW PLAYING VIEW
+  // ==========================================================================
+
+  _nowPlayingReturnFocus: null,   // Element focused before the view opened
+  _nowPlayingTracks: [],          // Release tracks listed in the view (play buttons index into this)
+
+  /**
+   * Whether the full-screen now-playing view is showing
+   */
+  _isNowPlayingOpen() {
+    return !this._elements.nowPlaying.hidden;
+  },
+
+  /**
+   * Open the full-screen now-playing view
+   * Focus moves into the view and returns to where it was on close.
+   */
+  _openNowPlaying() {
+    if (!this._currentTrack || this._isNowPlayingOpen() || this._isEmbed) return;
+
+    this._nowPlayingReturnFocus = document.activeElement;
+    this._closePanels();
+
+    this._elements.nowPlaying.hidden = false;
+    this._elements.artworkBtn.setAttribute('aria-expanded', 'true');
+    document.body.style.overflow = 'hidden';
+
+    this._renderNowPlaying();
+    this._elements.nowPlayingCloseBtn.focus();
+
+    // The release tracklist and up-next pick come from the catalog
+    if (!this._catalogLoaded) {
+      this._loadTrackCatalog().then(() => this._renderNowPlaying());
+    }
+
+    DurtNursUtils.debug('🖼️ Now playing view opened');
+  },
+
+  /**
+   * Close the now-playing view
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] - Return focus to the element that opened it
+   */
+  _closeNowPlaying({ restoreFocus = true } = {}) {
+    if (!this._isNowPlayingOpen()) return;
+
+    this._elements.nowPlaying.hidden = true;
+    this._elements.artworkBtn.setAttribute('aria-expanded', 'false');
+    document.body.style.overflow = '';
+
+    // Stop any artwork video looping out of sight
+    this._elements.nowPlayingArtwork.innerHTML = '';
+    delete this._elements.nowPlayingArtwork.dataset.audioFile;
+
+    const returnTo = this._nowPlayingReturnFocus;
+    this._nowPlayingReturnFocus = null;
+
+    if (restoreFocus) {
+      const target = returnTo && returnTo.isConnected ? returnTo : this._elements.artworkBtn;
+      target.focus();
+    }
+  },
+
+  /**
+   * Fill the now-playing view from the current track
+   * Catalog data fills in what callers didn't pass (artwork video, release).
+   */
+  _renderNowPlaying() {
+    if (!this._isNowPlayingOpen() || !this._currentTrack) return;
+
+    const catalogTrack = this._trackCatalog.find(track => track.audioFile === this._currentTrack.audioFile) || {};
+    const track = { ...catalogTrack, ...this._currentTrack };
+    const releaseId = this._currentTrack.releaseId || catalogTrack.releaseId;
+    const {
+      nowPlayingArtwork, nowPlayingTitle, nowPlayingArtist, nowPlayingAlbum,
+      nowPlayingAlbumLink, nowPlayingRelease, nowPlayingTracks
+    } = this._elements;
+
+    nowPlayingTitle.textContent = track.title || 'Unknown Track';
+    nowPlayingArtist.textContent = track.artist || 'tHE dURT nURS\'';
+
+    nowPlayingAlbum.hidden = !(track.albumTitle && releaseId);
+    if (!nowPlayingAlbum.hidden) {
+      nowPlayingAlbumLink.textContent = track.albumTitle;
+      nowPlayingAlbumLink.href = `/releases/#${releaseId}`;
+    }
+
+    // Rebuilding restarts the video, so only do it when the track changes
+    if (nowPlayingArtwork.dataset.audioFile !== track.audioFile) {
+      const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+      nowPlayingArtwork.innerHTML = DurtNursUtils.mediaElement({
+        src: track.artwork || '/assets/images/logo.png',
+        video: reducedMotion ? null : track.artworkVideo,
+        alt: this._escapeHTML(`${track.albumTitle || track.title} artwork`),
+        className: 'now-playing__image',
+        loading: 'eager'
+      });
+      nowPlayingArtwork.dataset.audioFile = track.audioFile;
+    }
+
+    // The rest of the release, in tracklist order
+    this._nowPlayingTracks = releaseId
+      ? this._trackCatalog.filter(item => item.releaseId === releaseId && item.audioFile !== track.audioFile)
+      : [];
+
+    nowPlayingRelease.hidden = this._nowPlayingTracks.length === 0;
+    nowPlayingTracks.innerHTML = this._nowPlayingTracks.map((item, index) => `
+      <li class="now-playing__track">
+        <button class="now-playing__track-btn" type="button" data-index="${index}" aria-label="Play ${this._escapeHTML(item.title)}">
+          <span class="now-playing__track-icon" aria-hidden="true"></span>
+          <span class="now-playing__track-title">${this._escapeHTML(item.title)}</span>
+          <span class="now-playing__track-duration">${this._escapeHTML(item.duration || '')}</span>
+        </button>
+      </li>
+    `).join('');
+
+    this._elements.nowPlayingTime.textContent = this._elements.time.textContent;
+    this._renderNowPlayingUpcoming();
+  },
+
+  /**
+   * Show what plays after the current track (queue first, then the auto-queue pick)
+   */
+  _renderNowPlayingUpcoming() {
+    if (!this._isNowPlayingOpen()) return;
+
+    const upcoming = this._peekUpcomingTrack();
+    const { nowPlayingUpcoming } = this._elements;
+
+    if (upcoming) {
+      const source = this._queue.length > 0
+        ? 'from your queue'
+        : { sequential: 'next in the catalog', 'repeat-all': 'next in the catalog', shuffle: 'shuffle pick' }[this._playbackMode];
+      nowPlayingUpcoming.innerHTML = `
+        <span class="now-playing__upcoming-title">${this._escapeHTML(upcoming.title)}</span>
+        <span class="now-playing__upcoming-detail">${this._escapeHTML(upcoming.albumTitle || upcoming.artist || '')} &middot; ${this._escapeHTML(source)}</span>
+      `;
+    } else if (this._playbackMode === 'repeat-one') {
+      nowPlayingUpcoming.textContent = 'This one again (repeat one).';
+    } else {
+      nowPlayingUpcoming.textContent = 'Nothing lined up. Playback stops after this track.';
+    }
+  },
+
+  /**
+   * Handle clicks in the now-playing view (delegated)
+   * @param {MouseEvent} e
+   */
+  _onNowPlayingClick(e) {
+    if (e.target.closest('.now-playing__close')) {
+      this._closeNowPlaying();
+      return;
+    }
+
+    // The album link is routed by the SPA (playback keeps going) - focus goes
+    // with the release it lands on
+    if (e.target.closest('.now-playing__album-link')) {
+      this._closeNowPlaying({ restoreFocus: false });
+      return;
+    }
+
+    const control = e.target.closest('.now-playing__control');
+    if (control) {
+      const action = control.dataset.action;
+      if (action === 'toggle') this.toggle();
+      if (action === 'previous') this.previous();
+      if (action === 'next') this.next();
+      return;
+    }
+
+    const trackBtn = e.target.closest('.now-playing__track-btn');
+    if (trackBtn) {
+      const track = this._nowPlayingTracks[Number(trackBtn.dataset.index)];
+      if (track) {
+        this.play(track);
+        this._elements.nowPlayingCloseBtn.focus();  // The list re-renders without the button
+      }
+    }
+  },
+
+  /**
+   * Escape closes; Tab and Shift+Tab wrap around inside the view
+   * @param {KeyboardEvent} e
+   */
+  _onNowPlayingKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this._closeNowPlaying();
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...this._elements.nowPlaying.querySelectorAll('a[href], button:not([disabled])')]
+      .filter(el => !el.closest('[hidden]'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - EMBED
+  // ==========================================================================
+
+  /**
+   * Cue the track named in ?id=<release-id>/<track-slug>&t=<offset> on the embed page
+   * Tracks are inlined as #embed-tracks at build time (src/_data/embeds.js);
+   * the per-track pages name theirs in data-track-id instead of ?id.
+   */
+  _initEmbed() {
+    this._container.classList.add('audio-player--embed');
+    const data = document.getElementById('embed-tracks');
+
+    // Same id and offset formats as share links (?track=...&t=...)
+    const params = new URLSearchParams(window.location.search);
+    params.set('track', (data && data.dataset.trackId) || params.get('id') || '');
+    const link = DurtNursUtils.parseTrackLink(params.toString());
+
+    let tracks = {};
+    try {
+      tracks = JSON.parse(data.textContent);
+    } catch (e) {
+      DurtNursUtils.debugError('DurtNursPlayer: Embed track data missing', e);
+    }
+
+    const track = link && tracks[`${link.releaseId}/${link.trackSlug}`];
+    this._showPlayer();
+
+    if (!track) {
+      this._elements.title.textContent = 'Track not found';
+      this._elements.artist.textContent = 'Check the embed link';
+      return;
+    }
+
+    this._loadTrack(track, { startTime: link.startTime || undefined });
+    this._updatePlayButton(false);
+    this._elements.releaseLink.href = DurtNursUtils.trackURL(track.releaseId, track.title);
+    this._elements.releaseLink.setAttribute('aria-label', `${track.albumTitle} on durtnurs.com (opens in a new tab)`);
+
+    DurtNursUtils.debug(`🔌 Embed cued: ${track.title}`);
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - ERROR RECOVERY
+  // ==========================================================================
+
+  _ERROR_MAX_RETRIES: 3,
+  _ERROR_RETRY_BASE_MS: 1000,   // Backoff: 1s, 2s, 4s
+  _ERROR_MAX_AUTO_SKIPS: 3,     // Give up skipping after this many failures in a row
+  _ERROR_NOTICE_MS: 6000,       // How long a "skipped" notice stays up
+
+  /**
+   * Work out what went wrong and recover
+   * Network errors retry with backoff; anything else (or retries used up)
+   * skips on when something plays next, or asks the listener what to do.
+   * @param {MediaError} error
+   */
+  async _handleTrackError(error) {
+    const track = this._currentTrack;
+    const kind = await this._classifyError(error);
+
+    // Moved on while we were checking
+    if (track !== this._currentTrack) return;
+
+    DurtNursUtils.debugError(`DurtNursPlayer: ${kind} error - ${track.title}`, error);
+    this._updatePlayButton(false);
+    this._emit('error', { error, kind });
+
+    if (kind === 'network' && this._retryCount < this._ERROR_MAX_RETRIES) {
+      const delay = this._ERROR_RETRY_BASE_MS * Math.pow(2, this._retryCount);
+      this._retryCount++;
+      this._showError(`Connection trouble. Retrying in ${delay / 1000}s\u2026`, 'retrying');
+      this._retryTimer = setTimeout(() => this._retryTrack(), delay);
+      return;
+    }
+
+    const message = this._describeError(kind, track);
+
+    // Only claim a skip when something else will actually play (not at the
+    // end of a sequential run, or offline with nothing else saved)
+    if (this._canAutoAdvance() && this._autoSkips < this._ERROR_MAX_AUTO_SKIPS && this._peekUpcomingTrack()) {
+      this._autoSkips++;
+      this.next();
+      this._showError(`${message} Skipped to the next track.`, 'skipped');
+      return;
+    }
+
+    this._showError(message, 'failed');
+  },
+
+  /**
+   * Classify a media error as 'network', 'decode', 'missing' or 'offline'
+   * Browsers report a 404 as "source not supported" (or a network error),
+   * so ask the server about the file before blaming the audio.
+   * @param {MediaError} error
+   * @returns {Promise<string>}
+   */
+  async _classifyError(error) {
+    if (error.code === error.MEDIA_ERR_DECODE) return 'decode';
+    if (navigator.onLine === false) {
+      // Retrying won't help a track that was never saved
+      const saved = typeof DurtNursOffline !== 'undefined' && DurtNursOffline.isSaved(this._currentTrack.audioFile);
+      return saved ? 'network' : 'offline';
+    }
+
+    try {
+      const response = await fetch(this._audio.currentSrc || this._audio.src, { method: 'HEAD', cache: 'no-store' });
+
+      if (response.status === 404 || response.status === 410) return 'missing';
+      if (!response.ok) return 'network';
+      return error.code === error.MEDIA_ERR_NETWORK ? 'network' : 'decode';
+    } catch (fetchError) {
+      return 'network';
+    }
+  },
+
+  /**
+   * Listener-facing explanation of an error
+   * @param {string} kind - 'network', 'decode', 'missing' or 'offline'
+   * @param {Object} track
+   * @returns {string}
+   */
+  _describeError(kind, track) {
+    const title = `\u201c${track.title || 'This track'}\u201d`;
+
+    switch (kind) {
+      case 'missing':
+        return `${title} is missing from the server.`;
+      case 'decode':
+        return `${title} couldn't be played. The file may be damaged.`;
+      case 'offline':
+        return `You're offline and ${title} isn't saved for offline listening.`;
+      default:
+        return `Lost the connection while loading ${title}.`;
+    }
+  },
+
+  /**
+   * Whether playback carries on by itself (queued tracks or a playback mode)
+   */
+  _canAutoAdvance() {
+    return this._queue.length > 0 || (this._playbackMode !== 'off' && this._playbackMode !== 'repeat-one');
+  },
+
+  /**
+   * Reload the current track and pick up where it failed
+   * @param {Object} [options]
+   * @param {boolean} [options.manual=false] - From the Retry button (restarts the backoff)
+   */
+  _retryTrack({ manual = false } = {}) {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    if (!this._currentTrack) return;
+
+    if (manual) {
+      this._retryCount = 0;
+      this._hideError();
+    }
+
+    const audio = this._audio;
+    const track = this._currentTrack;
+    const resumeAt = audio.currentTime;
+
+    audio.load();
+    if (resumeAt > 0) {
+      audio.addEventListener('loadedmetadata', () => {
+        if (audio === this._audio && this._currentTrack === track) audio.currentTime = resumeAt;
+      }, { once: true });
+    }
+
+    // A failure shows up as another error event
+    audio.play().catch(() => {});
+    DurtNursUtils.debug(`🔁 Retrying: ${track.title}`);
+  },
+
+  /**
+   * Skip button: move on from a track that won't play
+   */
+  _skipFailedTrack() {
+    this._hideError();
+    this.next();
+  },
+
+  /**
+   * Playback is running again - forget earlier failures
+   */
+  _onPlaybackRecovered() {
+    this._retryCount = 0;
+    this._autoSkips = 0;
+    if (this._elements.error.dataset.state !== 'skipped') this._hideError();
+  },
+
+  /**
+   * Reset retry state when a different track loads
+   * A "skipped" notice stays up - it's about the track we just left.
+   */
+  _clearTrackError() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._retryCount = 0;
+
+    if (this._elements.error.dataset.state !== 'skipped') this._hideError();
+  },
+
+  /**
+   * Show the error notice
+   * @param {string} message
+   * @param {string} state - 'retrying' (no buttons), 'failed' (Retry/Skip) or 'skipped' (hides itself)
+   */
+  _showError(message, state) {
+    const { error, errorText, errorRetryBtn, errorSkipBtn } = this._elements;
+
+    clearTimeout(this._errorHideTimer);
+    this._hideResumeOffer();
+
+    errorText.textContent = message;
+    errorRetryBtn.hidden = state !== 'failed';
+    errorSkipBtn.hidden = state !== 'failed' || !(this._queue.length > 0 || this._playbackMode !== 'off');
+    error.dataset.state = state;
+    error.hidden = false;
+    this._container.classList.add('audio-player--error');
+
+    if (state === 'skipped') {
+      this._errorHideTimer = setTimeout(() => this._hideError(), this._ERROR_NOTICE_MS);
+    }
+  },
+
+  /**
+   * Hide the error notice
+   */
+  _hideError() {
+    clearTimeout(this._errorHideTimer);
+    this._errorHideTimer = null;
+
+    this._elements.error.hidden = true;
+    delete this._elements.error.dataset.state;
+    this._container.classList.remove('audio-player--error');
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - SLEEP TIMER
+  // ==========================================================================
+
+  _SLEEP_FADE_SECONDS: 10,     // Fade out over this long before pausing
+  _SLEEP_TICK_MS: 250,         // Countdown / fade step
+
+  /**
+   * Set or cancel the sleep timer
+   * @param {string} option - Minutes ('15', '30', ...), 'track', 'queue' or 'off'
+   */
+  _setSleepTimer(option) {
+    clearInterval(this._sleepTimer);
+    this._sleepTimer = null;
+    this._restoreSleepVolume();
+
+    const minutes = parseInt(option, 10);
+    if (minutes > 0) {
+      this._sleep = { mode: 'minutes', endsAt: Date.now() + minutes * 60000 };
+    } else if (option === 'track' || option === 'queue') {
+      this._sleep = { mode: option };
+    } else {
+      this._sleep = null;
+    }
+
+    this._elements.sleepOptions.forEach(btn => {
+      btn.setAttribute('aria-pressed', btn.dataset.sleep === (this._sleep ? option : 'off'));
+    });
+
+    const statusText = {
+      minutes: `Stopping in ${minutes} minutes.`,
+      track: 'Stopping at the end of this track.',
+      queue: 'Stopping when the album or queue runs out.'
+    };
+    this._elements.sleepStatus.textContent = this._sleep ? statusText[this._sleep.mode] : 'Playing until you stop it.';
+    this._container.classList.toggle('audio-player--sleep-set', Boolean(this._sleep));
+
+    if (this._sleep) {
+      this._sleepTimer = setInterval(() => this._onSleepTick(), this._SLEEP_TICK_MS);
+      DurtNursUtils.debug(`😴 Sleep timer: ${option}`);
+    }
+
+    this._renderSleepRemaining();
+  },
+
+  /**
+   * Whether playback should stop when the current track ends
+   * "End of album / queue" stops once nothing is queued, rather than
+   * letting the playback mode pick something else.
+   */
+  _sleepEndsWithTrack() {
+    if (!this._sleep) return false;
+    return this._sleep.mode === 'track' || (this._sleep.mode === 'queue' && this._queue.length === 0);
+  },
+
+  /**
+   * Seconds of listening left before the timer fires
+   * Track/queue modes count remaining track time plus queued durations,
+   * scaled by playback speed.
+   * @returns {number|null} Null if unknown (metadata not loaded yet)
+   */
+  _getSleepRemaining() {
+    if (!this._sleep) return null;
+
+    if (this._sleep.mode === 'minutes') {
+      return Math.max(0, (this._sleep.endsAt - Date.now()) / 1000);
+    }
+
+    const { currentTime, duration } = this._audio;
+    if (!duration || !isFinite(duration)) return null;
+
+    let remaining = duration - currentTime;
+
+    if (!this._sleepEndsWithTrack()) {
+      for (const track of this._queue) {
+        const [minutes, seconds] = String(track.duration || '').split(':').map(Number);
+        if (!Number.isFinite(minutes) || !Number.isFinite(seconds)) return null;
+        remaining += minutes * 60 + seconds;
+      }
+    }
+
+    return remaining / this._playbackRate;
+  },
+
+  /**
+   * Update the countdown and fade out as the timer runs down
+   * Track/queue modes pause from _onTrackEnded; minutes mode pauses here.
+   */
+  _onSleepTick() {
+    const remaining = this._getSleepRemaining();
+    this._renderSleepRemaining(remaining);
+
+    if (this._sleep.mode === 'minutes' && remaining <= 0) {
+      this._fallAsleep();
+      return;
+    }
+
+    if (remaining === null || this._audio.paused) return;
+
+    // Leave the volume alone mid-crossfade - the fade timer owns it then
+    if (remaining <= this._SLEEP_FADE_SECONDS && !this._fadeTimer) {
+      this._setElementVolume(this._audio, remaining / this._SLEEP_FADE_SECONDS);
+    }
+  },
+
+  /**
+   * Show time left next to the sleep button
+   * @param {number|null} [remaining] - Defaults to the current value
+   */
+  _renderSleepRemaining(remaining = this._getSleepRemaining()) {
+    const label = this._elements.sleepRemaining;
+
+    if (!this._sleep) {
+      label.hidden = true;
+      label.textContent = '';
+      this._elements.sleepBtn.setAttribute('aria-label', 'Sleep timer');
+      return;
+    }
+
+    label.textContent = remaining === null ? '' : this._formatTime(Math.ceil(remaining));
+    label.hidden = remaining === null;
+    this._elements.sleepBtn.setAttribute('aria-label', remaining === null
+      ? 'Sleep timer (set)'
+      : `Sleep timer: ${Math.ceil(remaining / 60)} min left`);
+  },
+
+  /**
+   * Timer's up: pause and put everything back for next time
+   */
+  _fallAsleep() {
+    DurtNursUtils.debug('😴 Sleep timer finished - goodnight');
+    this._audio.pause();
+    this._setSleepTimer('off');
+  },
+
+  /**
+   * Undo any sleep fade on the active element
+   */
+  _restoreSleepVolume() {
+    if (this._audio && !this._fadeTimer) {
+      this._setElementVolume(this._audio);
+    }
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - MEDIA SESSION
+  // ==========================================================================
+
+  /**
+   * Whether the Media Session API is available
+   */
+  _hasMediaSession() {
+    return 'mediaSession' in navigator;
+  },
+
+  /**
+   * Register lock-screen / hardware media key handlers
+   */
+  _setupMediaSession() {
+    if (!this._hasMediaSession()) return;
+
+    const SEEK_OFFSET = 10; // seconds, when the OS doesn't specify one
+
+    const handlers = {
+      play: () => {
+        if (this._audio.paused) this.toggle();
+      },
+      pause: () => this.pause(),
+      // The embed has no way to reopen a hidden player - pause instead
+      stop: () => (this._isEmbed ? this.pause() : this.stop()),
+      seekbackward: (details) => {
+        const offset = details.seekOffset || SEEK_OFFSET;
+        this._audio.currentTime = Math.max(0, this._audio.currentTime - offset);
+      },
+      seekforward: (details) => {
+        const offset = details.seekOffset || SEEK_OFFSET;
+        this._audio.currentTime = Math.min(this._audio.duration || 0, this._audio.currentTime + offset);
+      },
+      seekto: (details) => {
+        if (details.fastSeek && 'fastSeek' in this._audio) {
+          this._audio.fastSeek(details.seekTime);
+        } else {
+          this._audio.currentTime = details.seekTime;
+        }
+      },
+      previoustrack: () => this.previous(),
+      nexttrack: () => this.next()
+    };
+
+    for (const [action, handler] of Object.entries(handlers)) {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (e) {
+        // Browser doesn't support this action - skip it
+        DurtNursUtils.debug(`DurtNursPlayer: Media Session action "${action}" not supported`);
+      }
+    }
+  },
+
+  /**
+   * Publish track metadata to the OS media controls
+   */
+  _updateMediaSessionMetadata(trackData) {
+    if (!this._hasMediaSession() || typeof MediaMetadata === 'undefined') return;
+
+    const artworkSrc = new URL(trackData.artwork || '/assets/images/logo.png', window.location.origin).href;
+    const artworkType = /\.jpe?g$/i.test(artworkSrc) ? 'image/jpeg' : 'image/png';
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: trackData.title || 'Unknown Track',
+      artist: trackData.artist || 'tHE dURT nURS\'',
+      album: trackData.albumTitle || '',
+      artwork: [
+        { src: artworkSrc, sizes: '512x512', type: artworkType }
+      ]
+    });
+  },
 
   /**
-   * Handle track ending
+   * Mirror play/pause state to the OS media controls
    */
-  _onTrackEnded() {
-    this._updatePlayButton(false);
-    this._elements.seek.value = 0;
+  _updateMediaSessionPlaybackState() {
+    if (!this._hasMediaSession()) return;
 
-    // Auto-queue next track if enabled
-    if (this._autoQueueEnabled) {
-      this._playNextTrack();
-    }
+    navigator.mediaSession.playbackState = this._audio.paused ? 'paused' : 'playing';
   },
 
   /**
-   * Handle time updates during playback
+   * Keep the lock-screen position scrubber in sync
    */
-  _onTimeUpdate() {
-    const { currentTime, duration } = this._audio;
+  _updateMediaSessionPosition() {
+    if (!this._hasMediaSession() || !navigator.mediaSession.setPositionState) return;
 
-    if (duration && isFinite(duration)) {
-      // Update seek slider
-      const percent = (currentTime / duration) * 100;
-      this._elements.seek.value = percent;
-      this._elements.seek.setAttribute('aria-valuenow', Math.round(percent));
+    const { currentTime, duration, playbackRate } = this._audio;
+    if (!duration || !isFinite(duration)) return;
 
-      // Update time display
-      this._elements.time.textContent = `${this._formatTime(currentTime)} / ${this._formatTime(duration)}`;
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate: playbackRate || 1,
+        position: Math.min(currentTime, duration)
+      });
+    } catch (e) {
+      // Invalid state (e.g. mid-seek) - next timeupdate will correct it
     }
   },
 
   /**
-   * Handle metadata loaded
+   * Clear OS media controls when playback stops
    */
-  _onMetadataLoaded() {
-    const { duration } = this._audio;
+  _clearMediaSession() {
+    if (!this._hasMediaSession()) return;
 
-    if (duration && isFinite(duration)) {
-      this._elements.time.textContent = `0:00 / ${this._formatTime(duration)}`;
-    }
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
   },
 
+  // ==========================================================================
+  // PRIVATE METHODS - LISTENING HISTORY
+  // ==========================================================================
+
+  _HISTORY_STORAGE_KEY: 'durtNursListeningHistory',
+  _PLAY_THRESHOLD_SECONDS: 30,  // A play counts after 30 s or half the track, whichever is sooner
+  _RECENT_PLAYS_LIMIT: 50,      // Entries kept in the recent-plays log
+
   /**
-   * Handle audio errors
+   * Begin tracking a play-through of a track
+   * @param {Object} trackData
+   * @param {number} [position=0] - Starting position in seconds
    */
-  _onAudioError(e) {
-    DurtNursUtils.debugError('DurtNursPlayer: Audio error', e);
-    this._elements.title.textContent = 'Error loading track';
-    this._updatePlayButton(false);
+  _startListen(trackData, position = 0) {
+    this._listen = {
+      track: trackData,
+      listened: 0,
+      lastPosition: position || 0,
+      counted: false
+    };
   },
 
   /**
-   * Handle seek slider input
+   * Add time actually heard and record a play once past the threshold
+   * Jumps (seeks, restarts) aren't counted as listening.
+   * @param {number} currentTime
+   * @param {number} duration
    */
-  _onSeekInput(e) {
-    const percent = e.target.value;
-    const { duration } = this._audio;
+  _trackListenProgress(currentTime, duration) {
+    const listen = this._listen;
+    if (!listen) return;
 
-    if (duration && isFinite(duration)) {
-      this._audio.currentTime = (percent / 100) * duration;
+    const delta = currentTime - listen.lastPosition;
+    listen.lastPosition = currentTime;
+
+    // timeupdate fires ~4x a second; anything bigger is a seek
+    if (delta > 0 && delta < 2) {
+      listen.listened += delta;
+    }
+
+    const threshold = Math.min(this._PLAY_THRESHOLD_SECONDS, duration / 2);
+    if (!listen.counted && listen.listened >= threshold) {
+      listen.counted = true;
+      this._recordListen(listen.track, 'play');
     }
   },
 
   /**
-   * Handle volume slider input
+   * Finish the current play-through
+   * Leaving a track before it counted as a play records a skip.
+   * @param {Object} [options]
+   * @param {boolean} [options.completed=false] - Track played to the end
    */
-  _onVolumeInput(e) {
-    const volume = e.target.value / 100;
-    this._audio.volume = volume;
-    this._saveVolumePreference(e.target.value);
-    this._updateVolumeIcon(volume);
+  _endListen({ completed = false } = {}) {
+    const listen = this._listen;
+    this._listen = null;
+    if (!listen) return;
+
+    if (completed) {
+      // Very short tracks can end before timeupdate reaches the threshold
+      if (!listen.counted) this._recordListen(listen.track, 'play');
+      this._recordListen(listen.track, 'completion');
+    } else if (!listen.counted) {
+      this._recordListen(listen.track, 'skip');
+    }
   },
 
   /**
-   * Toggle mute
+   * Write a play, skip or completion to the history
+   * @param {Object} trackData
+   * @param {string} type - 'play', 'skip' or 'completion'
    */
-  _toggleMute() {
-    this._audio.muted = !this._audio.muted;
-    this._updateVolumeIcon(this._audio.muted ? 0 : this._audio.volume);
+  _recordListen(trackData, type) {
+    if (this._isEmbed) return;
+
+    const history = this._loadListeningHistory();
+    const now = Date.now();
+
+    const entry = history.tracks[trackData.audioFile] || { plays: 0, completions: 0, skips: 0, lastPlayedAt: 0 };
+
+    // Keep just what's needed to replay the track from the homepage
+    const { title, audioFile, duration, artwork, albumTitle, artist, releaseId } = trackData;
+    entry.track = { title, audioFile, duration, artwork, albumTitle, artist, releaseId };
+
+    if (type === 'play') {
+      entry.plays++;
+      entry.lastPlayedAt = now;
+      history.recent.unshift({ audioFile, playedAt: now });
+      history.recent = history.recent.slice(0, this._RECENT_PLAYS_LIMIT);
+    } else if (type === 'completion') {
+      entry.completions++;
+    } else if (type === 'skip') {
+      entry.skips++;
+    }
+
+    history.tracks[audioFile] = entry;
+
+    try {
+      localStorage.setItem(this._HISTORY_STORAGE_KEY, JSON.stringify(history));
+      DurtNursUtils.debug(`📈 Listening history: ${type} - ${title}`);
+    } catch (e) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Could not save listening history', e);
+    }
   },
 
   /**
-   * Handle keyboard shortcuts
+   * Read the listening history from localStorage
+   * @returns {{tracks: Object, recent: Array}} Per-track stats keyed by audioFile, and the recent-plays log
    */
-  _onKeyDown(e) {
-    switch (e.key) {
-      case ' ':
-      case 'k':
-        e.preventDefault();
-        this.toggle();
-        break;
-      case 'ArrowLeft':
-        e.preventDefault();
-        this._audio.currentTime = Math.max(0, this._audio.currentTime - 5);
-        break;
-      case 'ArrowRight':
-        e.preventDefault();
-        this._audio.currentTime = Math.min(this._audio.duration, this._audio.currentTime + 5);
-        break;
-      case 'ArrowUp':
-        e.preventDefault();
-        this._audio.volume = Math.min(1, this._audio.volume + 0.1);
-        this._elements.volume.value = this._audio.volume * 100;
-        this._updateVolumeIcon(this._audio.volume);
-        break;
-      case 'ArrowDown':
-        e.preventDefault();
-        this._audio.volume = Math.max(0, this._audio.volume - 0.1);
-        this._elements.volume.value = this._audio.volume * 100;
-        this._updateVolumeIcon(this._audio.volume);
-        break;
-      case 'm':
-        e.preventDefault();
-        this._toggleMute();
-        break;
-      case 'Escape':
-        e.preventDefault();
-        this.stop();
-        break;
+  _loadListeningHistory() {
+    try {
+      const history = JSON.parse(localStorage.getItem(this._HISTORY_STORAGE_KEY));
+      if (history && history.tracks && typeof history.tracks === 'object' && Array.isArray(history.recent)) {
+        return history;
+      }
+    } catch (e) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Could not read listening history', e);
     }
+
+    return { tracks: {}, recent: [] };
   },
 
   // ==========================================================================
-  // PRIVATE METHODS - UI UPDATES
+  // PRIVATE METHODS - RESUME POSITIONS
   // ==========================================================================
 
+  _POSITIONS_STORAGE_KEY: 'durtNursTrackPositions',
+  _POSITIONS_LIMIT: 100,                         // Tracks remembered (oldest dropped first)
+  _POSITION_MAX_AGE: 30 * 24 * 60 * 60 * 1000,   // Forget positions after 30 days
+  _RESUME_MIN_POSITION: 15,                      // Not worth offering to resume before this (seconds)
+  _RESUME_END_MARGIN: 15,                        // Treat this close to the end as finished (seconds)
+  _POSITION_SAVE_INTERVAL: 5,                    // Seconds of playback between writes
+
   /**
-   * Update track info display
+   * Remember where we are in the current track
+   * Positions near the start or end aren't worth resuming, so they clear
+   * the entry instead.
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Write even if little has changed
    */
-  _updateTrackInfo(trackData) {
-    this._elements.title.textContent = trackData.title || 'Unknown Track';
-    this._elements.artist.textContent = trackData.artist || 'tHE dURT nURS\'';
+  _saveTrackPosition({ force = false } = {}) {
+    if (!this._currentTrack || !this._audio) return;
 
-    if (trackData.artwork) {
-      this._elements.artwork.src = trackData.artwork;
-      this._elements.artwork.alt = `${trackData.albumTitle || trackData.title} artwork`;
-    } else {
-      this._elements.artwork.src = '/assets/images/logo.png';
-      this._elements.artwork.alt = 'tHE dURT nURS\' logo';
+    // Keep the old position until the fan decides on the resume prompt
+    if (this._resumeOffer !== null) return;
+
+    const { currentTime, duration } = this._audio;
+    if (!duration || !isFinite(duration)) return;
+
+    if (!force && Math.abs(currentTime - this._lastSavedPosition) < this._POSITION_SAVE_INTERVAL) return;
+    this._lastSavedPosition = currentTime;
+
+    if (currentTime < this._RESUME_MIN_POSITION || duration - currentTime < this._RESUME_END_MARGIN) {
+      this._forgetTrackPosition(this._currentTrack);
+      return;
+    }
+
+    const positions = this._loadTrackPositions();
+    positions[this._currentTrack.audioFile] = { position: Math.floor(currentTime), savedAt: Date.now() };
+
+    // Over the cap - drop the least recently saved
+    const audioFiles = Object.keys(positions);
+    if (audioFiles.length > this._POSITIONS_LIMIT) {
+      audioFiles
+        .sort((a, b) => positions[a].savedAt - positions[b].savedAt)
+        .slice(0, audioFiles.length - this._POSITIONS_LIMIT)
+        .forEach(audioFile => delete positions[audioFile]);
     }
+
+    this._saveTrackPositions(positions);
   },
 
   /**
-   * Update play/pause button state
+   * Drop the saved position for a track (finished, or restarted near the top)
    */
-  _updatePlayButton(isPlaying) {
-    this._elements.playBtn.setAttribute('aria-label', isPlaying ? 'Pause' : 'Play');
-    this._container.classList.toggle('audio-player--playing', isPlaying);
+  _forgetTrackPosition(trackData) {
+    if (!trackData) return;
+
+    const positions = this._loadTrackPositions();
+    if (!positions[trackData.audioFile]) return;
+
+    delete positions[trackData.audioFile];
+    this._saveTrackPositions(positions);
   },
 
   /**
-   * Update volume icon based on level
+   * Read saved positions, pruning any past the age limit
+   * The embed neither reads nor writes them.
+   * @returns {Object} { [audioFile]: { position, savedAt } }
    */
-  _updateVolumeIcon(volume) {
-    const btn = this._elements.volumeBtn;
+  _loadTrackPositions() {
+    let positions = {};
+    if (this._isEmbed) return positions;
 
-    if (this._audio.muted || volume === 0) {
-      btn.setAttribute('aria-label', 'Unmute');
-      this._container.classList.add('audio-player--muted');
-    } else {
-      btn.setAttribute('aria-label', 'Mute');
-      this._container.classList.remove('audio-player--muted');
+    try {
+      positions = JSON.parse(localStorage.getItem(this._POSITIONS_STORAGE_KEY)) || {};
+    } catch (e) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Could not read track positions', e);
     }
-  },
 
-  /**
-   * Show the player
-   */
-  _showPlayer() {
-    this._container.classList.remove('audio-player--hidden');
-    // Add padding to body to prevent content from being hidden behind player
-    document.body.style.paddingBottom = '80px';
+    const cutoff = Date.now() - this._POSITION_MAX_AGE;
+    for (const [audioFile, entry] of Object.entries(positions)) {
+      if (!entry || typeof entry.position !== 'number' || entry.savedAt < cutoff) {
+        delete positions[audioFile];
+      }
+    }
+
+    return positions;
   },
 
   /**
-   * Hide the player
+   * Write saved positions to localStorage
    */
-  _hidePlayer() {
-    this._container.classList.add('audio-player--hidden');
-    document.body.style.paddingBottom = '';
-  },
+  _saveTrackPositions(positions) {
+    if (this._isEmbed) return;
 
-  // ==========================================================================
-  // PRIVATE METHODS - UTILITIES
-  // ==========================================================================
+    try {
+      localStorage.setItem(this._POSITIONS_STORAGE_KEY, JSON.stringify(positions));
+    } catch (e) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Could not save track positions', e);
+    }
+  },
 
   /**
-   * Format seconds to MM:SS
+   * Show "Resume from m:ss?" if this track was left part-way through
+   * Playback still starts from the top; the prompt just offers the jump.
    */
-  _formatTime(seconds) {
-    if (!seconds || !isFinite(seconds)) return '0:00';
+  _offerResume(trackData) {
+    this._lastSavedPosition = 0;
 
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+    const saved = this._loadTrackPositions()[trackData.audioFile];
+    if (!saved || saved.position < this._RESUME_MIN_POSITION) {
+      this._hideResumeOffer();
+      return;
+    }
+
+    this._resumeOffer = saved.position;
+    this._elements.resumeText.textContent = `Resume from ${this._formatTime(saved.position)}?`;
+    this._elements.resumeBtn.setAttribute('aria-label', `Resume from ${this._formatTime(saved.position)}`);
+    this._elements.resume.hidden = false;
   },
 
   /**
-   * Load volume preference from localStorage
+   * Jump to the offered position
    */
-  _loadVolumePreference() {
-    const savedVolume = localStorage.getItem('durtNursPlayerVolume');
+  _acceptResumeOffer() {
+    if (this._resumeOffer === null) return;
 
-    if (savedVolume !== null) {
-      const volume = parseInt(savedVolume, 10);
-      this._audio.volume = volume / 100;
-      this._elements.volume.value = volume;
-      this._updateVolumeIcon(volume / 100);
-    } else {
-      this._audio.volume = 0.8;
-    }
+    this._audio.currentTime = this._resumeOffer;
+    if (this._audio.paused) this.toggle();
+
+    this._hideResumeOffer();
+    this._elements.playBtn.focus();
   },
 
   /**
-   * Save volume preference to localStorage
+   * Hide the resume prompt
    */
-  _saveVolumePreference(volume) {
-    localStorage.setItem('durtNursPlayerVolume', volume);
+  _hideResumeOffer() {
+    this._resumeOffer = null;
+    if (this._elements.resume) this._elements.resume.hidden = true;
   },
 
   // ==========================================================================
-  // PRIVATE METHODS - AUTO-QUEUE
+  // PRIVATE METHODS - CROSS-TAB COORDINATION
   // ==========================================================================
 
+  _CHANNEL_NAME: 'durtnurs-player',
+  _HANDOFF_TIMEOUT: 1000,       // ms to wait for the playing tab to hand over
+
   /**
-   * Toggle auto-queue mode
+   * Open the channel every tab on the site shares
+   * Messages: playing, stopped, take-control, handoff. Older browsers
+   * without BroadcastChannel just keep per-tab behaviour.
    */
-  _toggleAutoQueue() {
-    this._autoQueueEnabled = !this._autoQueueEnabled;
-    this._updateAutoQueueButton();
-    this._saveAutoQueuePreference();
-
-    // Load track catalog if enabling and not yet loaded
-    if (this._autoQueueEnabled && !this._catalogLoaded) {
-      this._loadTrackCatalog();
-    }
+  _setupCrossTab() {
+    if (!('BroadcastChannel' in window)) return;
 
-    DurtNursUtils.debug(`🔀 Auto-queue ${this._autoQueueEnabled ? 'enabled' : 'disabled'}`);
-  },
+    this._tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this._channel = new BroadcastChannel(this._CHANNEL_NAME);
+    this._channel.addEventListener('message', (e) => this._onChannelMessage(e.data));
 
-  /**
-   * Update auto-queue button UI state
-   */
-  _updateAutoQueueButton() {
-    const btn = this._elements.autoQueueBtn;
-    btn.setAttribute('aria-pressed', this._autoQueueEnabled);
-    btn.setAttribute('aria-label', `Auto-queue: ${this._autoQueueEnabled ? 'On' : 'Off'}`);
-    this._container.classList.toggle('audio-player--autoqueue', this._autoQueueEnabled);
+    // Let other tabs drop the "playing in another tab" notice when this one closes
+    window.addEventListener('pagehide', () => {
+      if (this._currentTrack && !this._audio.paused) {
+        this._broadcast({ type: 'stopped' });
+      }
+    });
   },
 
   /**
-   * Load auto-queue preference from localStorage
+   * Post a message to the other tabs
+   * @param {Object} message - Must include a type; tabId is added
    */
-  _loadAutoQueuePreference() {
-    const saved = localStorage.getItem('durtNursPlayerAutoQueue');
-    this._autoQueueEnabled = saved === 'true';
-    this._updateAutoQueueButton();
+  _broadcast(message) {
+    if (!this._channel) return;
 
-    // Pre-load track catalog if auto-queue is enabled
-    if (this._autoQueueEnabled) {
-      this._loadTrackCatalog();
+    try {
+      this._channel.postMessage({ ...message, tabId: this._tabId });
+    } catch (e) {
+      DurtNursUtils.debugWarn('DurtNursPlayer: Could not message other tabs', e);
     }
   },
 
   /**
-   * Save auto-queue preference to localStorage
+   * Tell other tabs this one started playing (they pause)
    */
-  _saveAutoQueuePreference() {
-    localStorage.setItem('durtNursPlayerAutoQueue', this._autoQueueEnabled);
+  _announcePlaying() {
+    clearTimeout(this._handoffTimer);
+    this._hideRemotePlayer();
+    this._broadcast({ type: 'playing', track: this._currentTrack });
   },
 
   /**
-   * Load all available tracks from releases.json
-   * Returns a Promise that resolves when the catalog is ready.
-   * Stores the in-flight Promise so callers can await it without triggering duplicate fetches.
+   * Handle a message from another tab
    */
-  _loadTrackCatalog() {
-    if (!this._catalogLoadPromise) {
-      this._catalogLoadPromise = (async () => {
-        try {
-          const data = await DurtNursUtils.fetchJSON('/assets/data/releases.json');
-          this._trackCatalog = [];
+  _onChannelMessage(message) {
+    if (!message || message.tabId === this._tabId) return;
 
-          // Extract all tracks with audio
-          for (const release of data.releases) {
-            for (const track of release.tracklist) {
-              if (track.hasAudio && track.audioFile) {
-                this._trackCatalog.push({
-                  title: track.title,
-                  audioFile: track.audioFile,
-                  duration: track.duration,
-                  artwork: track.artwork || release.coverArt,
-                  albumTitle: release.title,
-                  artist: release.artist
-                });
-              }
-            }
-          }
+    switch (message.type) {
+      case 'playing':
+        // Someone else is playing now - step aside
+        if (this._currentTrack && !this._audio.paused) {
+          DurtNursUtils.debug('📡 Another tab started playing - pausing here');
+          this._audio.pause();
+        }
+        this._showRemotePlayer(message);
+        break;
 
-          this._catalogLoaded = true;
-          DurtNursUtils.debug(`📚 Loaded ${this._trackCatalog.length} tracks for auto-queue`);
+      case 'stopped':
+        if (this._remotePlayer && this._remotePlayer.tabId === message.tabId) {
+          this._hideRemotePlayer();
+        }
+        break;
 
-        } catch (error) {
-          DurtNursUtils.debugError('❌ Failed to load track catalog:', error);
+      case 'take-control':
+        // Only the tab that's actually playing answers
+        if (this._currentTrack && !this._audio.paused) {
+          this._broadcast({
+            type: 'handoff',
+            to: message.tabId,
+            track: this._currentTrack,
+            currentTime: this._audio.currentTime,
+            queue: this._queue
+          });
+          this._audio.pause();
         }
-      })();
-    }
+        break;
 
-    return this._catalogLoadPromise || Promise.resolve();
+      case 'handoff':
+        if (message.to === this._tabId) {
+          this._acceptHandoff(message);
+        }
+        break;
+    }
   },
 
   /**
-   * Play the next track (random selection, excluding current)
+   * Show "Playing in another tab" with a Play here button
+   * Tabs with nothing loaded show just the notice in a slim bar.
    */
-  async _playNextTrack() {
-    // Ensure catalog is loaded; safe to call repeatedly (returns cached Promise)
-    await this._loadTrackCatalog();
+  _showRemotePlayer({ tabId, track }) {
+    this._remotePlayer = { tabId, track };
+    this._hideResumeOffer();
 
-    if (this._trackCatalog.length === 0) {
-      DurtNursUtils.debugWarn('No tracks available for auto-queue');
-      return;
+    const title = (track && track.title) || 'a track';
+    this._elements.remoteText.textContent = `Playing in another tab: ${title}`;
+    this._elements.remoteBtn.setAttribute('aria-label', `Play ${title} here`);
+    this._elements.remote.hidden = false;
+
+    if (!this._currentTrack) {
+      this._showPlayer();
+      this._container.classList.add('audio-player--remote-only');
     }
+  },
 
-    // Filter out current track
-    const availableTracks = this._trackCatalog.filter(
-      track => !this._currentTrack || track.audioFile !== this._currentTrack.audioFile
-    );
+  /**
+   * Hide the "Playing in another tab" notice
+   */
+  _hideRemotePlayer() {
+    this._remotePlayer = null;
+    if (this._elements.remote) this._elements.remote.hidden = true;
 
-    if (availableTracks.length === 0) {
-      DurtNursUtils.debug('No other tracks available, replaying current');
-      this._audio.currentTime = 0;
-      this._audio.play();
-      return;
+    if (this._container.classList.contains('audio-player--remote-only')) {
+      this._hidePlayer();
+      this._container.classList.remove('audio-player--remote-only');
     }
+  },
+
+  /**
+   * Ask the playing tab to hand over its track and position
+   * If it doesn't answer (closed, frozen), start the track here from the top.
+   */
+  _takeControl() {
+    const remote = this._remotePlayer;
+    if (!remote) return;
 
-    // Random selection
-    const randomIndex = Math.floor(Math.random() * availableTracks.length);
-    const nextTrack = availableTracks[randomIndex];
+    this._broadcast({ type: 'take-control' });
 
-    DurtNursUtils.debug(`⏭️ Auto-queuing: ${nextTrack.title}`);
-    this.play(nextTrack);
+    clearTimeout(this._handoffTimer);
+    this._handoffTimer = setTimeout(() => {
+      DurtNursUtils.debugWarn('DurtNursPlayer: No handoff from other tab, starting here');
+      this._hideRemotePlayer();
+      if (remote.track) this.play(remote.track);
+    }, this._HANDOFF_TIMEOUT);
+  },
+
+  /**
+   * Continue the other tab's track (and queue) from where it left off
+   * The Play here click gave this tab user activation, so browsers allow
+   * playback to start from the message; if one still blocks it, the track stays cued.
+   */
+  _acceptHandoff({ track, currentTime, queue }) {
+    clearTimeout(this._handoffTimer);
+    this._hideRemotePlayer();
+
+    if (!this._isValidTrack(track)) return;
+
+    if (Array.isArray(queue)) {
+      this._queue = queue.filter(item => item && item.audioFile);
+      this._onQueueChanged();
+    }
+
+    DurtNursUtils.debug(`📡 Took over from another tab: ${track.title} at ${Math.floor(currentTime)}s`);
+    this.play(track, { startTime: currentTime || 0 });
   },
 
   // ==========================================================================
@@ -645,12 +4176,14 @@ const DurtNursPlayer = {
   _setupPersistence() {
     window.addEventListener('beforeunload', () => {
       this._savePlaybackState();
+      this._saveTrackPosition({ force: true });
     });
 
     // Also save on visibility change (mobile browsers may not fire beforeunload)
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'hidden') {
         this._savePlaybackState();
+        this._saveTrackPosition({ force: true });
       }
     });
   },
@@ -664,6 +4197,10 @@ const DurtNursPlayer = {
 
     const state = {
       track: this._currentTrack,
+      queue: this._queue,
+      history: this._history,
+      shuffleDeck: this._shuffleDeck,
+      listen: this._listen && { listened: this._listen.listened, counted: this._listen.counted },
       currentTime: this._audio.currentTime,
       isPlaying: !this._audio.paused,
       timestamp: Date.now()
@@ -703,10 +4240,29 @@ const DurtNursPlayer = {
 
       DurtNursUtils.debug('DurtNursPlayer: Restoring state', state.track.title, state.currentTime);
 
-      // Load the track
+      // Restore the queue (drop anything malformed)
+      this._queue = Array.isArray(state.queue)
+        ? state.queue.filter(track => track && track.audioFile)
+        : [];
+      this._history = Array.isArray(state.history)
+        ? state.history.filter(track => track && track.audioFile)
+        : [];
+      this._shuffleDeck = Array.isArray(state.shuffleDeck) && this._playbackMode === 'shuffle'
+        ? state.shuffleDeck.filter(track => track && track.audioFile)
+        : [];
+      this._renderQueue();
+
+      // Load the track, carrying over how much of it was already heard
       this._currentTrack = state.track;
+      this._lastSavedPosition = state.currentTime || 0;
+      this._startListen(state.track, state.currentTime);
+      if (state.listen) {
+        this._listen.listened = Number(state.listen.listened) || 0;
+        this._listen.counted = Boolean(state.listen.counted);
+      }
       this._audio.src = state.track.audioFile;
       this._audio.load();
+      this._applyLoudness(this._audio, state.track);
 
       // Update UI immediately
       this._updateTrackInfo(state.track);
@@ -729,12 +4285,7 @@ const DurtNursPlayer = {
         }
       }, { once: true });
 
-      // Handle load errors
-      this._audio.addEventListener('error', () => {
-        DurtNursUtils.debugWarn('DurtNursPlayer: Could not restore track, file may be unavailable');
-        this._clearPlaybackState();
-        this._hidePlayer();
-      }, { once: true });
+      // A track that fails to load recovers like any other (see _handleTrackError)
 
     } catch (e) {
       DurtNursUtils.debugWarn('DurtNursPlayer: Could not restore state', e);
@@ -51,7 +51,7 @@
  *
  * PHASE 8 UPDATE: Added attempt limits and redirect timing
  */
-const CONFIG = {
+const AUTH_CONFIG = {
   /**
    * The access code required to view Fan Club content
    *
@@ -159,6 +159,12 @@ let attemptCount = 0;
  */
 let redirectTimer = null;
 
+/**
+ * Countdown display interval for the drunk redirect
+ * Cleared with redirectTimer when leaving the page via SPA navigation
+ */
+let redirectCountdownInterval = null;
+
 // =============================================================================
 // AUTHENTICATION CHECK FUNCTIONS
 // =============================================================================
@@ -185,7 +191,7 @@ function isAuthenticated() {
   // sessionStorage.getItem() returns:
   // - The stored value if key exists
   // - null if key doesn't exist
-  const authStatus = sessionStorage.getItem(CONFIG.storageKey);
+  const authStatus = sessionStorage.getItem(AUTH_CONFIG.storageKey);
 
   // Check if auth status matches our authenticated flag
   const authenticated = authStatus === 'authenticated';
@@ -218,7 +224,7 @@ function isAuthenticated() {
 function grantAccess() {
   // Store authentication flag
   // Value doesn't matter much - we just check if it exists and equals this string
-  sessionStorage.setItem(CONFIG.storageKey, 'authenticated');
+  sessionStorage.setItem(AUTH_CONFIG.storageKey, 'authenticated');
 
   // Reset attempt counter (fresh start for next session)
   attemptCount = 0;
@@ -257,10 +263,10 @@ function denyAccess(attemptedCode) {
   // Increment attempt counter
   attemptCount++;
 
-  DurtNursUtils.debug(`📊 Failed attempts: ${attemptCount} / ${CONFIG.maxAttempts}`);
+  DurtNursUtils.debug(`📊 Failed attempts: ${attemptCount} / ${AUTH_CONFIG.maxAttempts}`);
 
   // Check if user has reached max attempts
-  if (attemptCount >= CONFIG.maxAttempts) {
+  if (attemptCount >= AUTH_CONFIG.maxAttempts) {
     // User has failed too many times - trigger drunk redirect
     handleDrunkRedirect();
   } else {
@@ -344,7 +350,7 @@ function handleDrunkRedirect() {
   }
 
   // Calculate countdown in seconds
-  let countdown = Math.floor(CONFIG.redirectDelay / 1000);
+  let countdown = Math.floor(AUTH_CONFIG.redirectDelay / 1000);
 
   // Display drunk message with initial countdown
   messageEl.className = 'fanclub-auth__error fanclub-auth__error--drunk visible';
@@ -364,7 +370,7 @@ function handleDrunkRedirect() {
   DurtNursUtils.debug('🍺 Drunk redirect initiated - user will be redirected in 5 seconds');
 
   // Update countdown every second
-  const countdownInterval = setInterval(() => {
+  redirectCountdownInterval = setInterval(() => {
     countdown--;
     const countdownEl = messageEl.querySelector('.fanclub-auth__countdown');
     if (countdownEl && countdown > 0) {
@@ -374,10 +380,16 @@ function handleDrunkRedirect() {
 
   // Redirect after delay
   redirectTimer = setTimeout(() => {
-    clearInterval(countdownInterval);
+    clearInterval(redirectCountdownInterval);
     DurtNursUtils.debug('🏠 Redirecting to homepage...');
-    window.location.href = '/';
-  }, CONFIG.redirectDelay);
+
+    // SPA navigation keeps the audio player going
+    if (typeof DurtNursSPA !== 'undefined') {
+      DurtNursSPA.navigate('/');
+    } else {
+      window.location.href = '/';
+    }
+  }, AUTH_CONFIG.redirectDelay);
 }
 
 // =============================================================================
@@ -576,7 +588,7 @@ function handleFormSubmit(event) {
 
   // Verify the code
   // Compare entered code with stored code (both uppercase)
-  if (enteredCode === CONFIG.accessCode.toUpperCase()) {
+  if (enteredCode === AUTH_CONFIG.accessCode.toUpperCase()) {
     // Correct code!
     DurtNursUtils.debug('✅ Correct code entered');
     grantAccess();
@@ -657,6 +669,20 @@ function initAuth() {
   DurtNursUtils.debug('✅ Fan Club authentication initialized');
 }
 
+/**
+ * Stops a pending drunk redirect and resets attempts when leaving the page
+ *
+ * With SPA navigation the script stays loaded, so without this a redirect
+ * could fire on another page and the attempt count would carry over.
+ */
+function cleanupAuth() {
+  clearTimeout(redirectTimer);
+  clearInterval(redirectCountdownInterval);
+  redirectTimer = null;
+  redirectCountdownInterval = null;
+  attemptCount = 0;
+}
+
 // =============================================================================
 // AUTO-INITIALIZATION
 // =============================================================================
@@ -667,7 +693,8 @@ DurtNursUtils.onDOMReady(initAuth);
 // Register with SPA navigation for page transitions
 if (typeof DurtNursSPA !== 'undefined') {
   DurtNursSPA.registerModule('fanclub-auth', initAuth, {
-    pages: ['fanclub']
+    pages: ['fanclub'],
+    cleanup: cleanupAuth
   });
 }
 
@@ -42,7 +42,7 @@ let fanclubGalleryState = {
 };
 
 // Lightbox instance (created during init)
-let lightbox = null;
+let fanclubLightbox = null;
 
 // =============================================================================
 // DATA FETCHING
@@ -110,7 +110,7 @@ function sortAllMedia(media) {
  * @param {number} index - Index in array (for lightbox navigation)
  * @returns {string} HTML string for the card
  */
-function renderMediaCard(mediaItem, index) {
+function renderFanclubMediaCard(mediaItem, index) {
   const {
     id,
     type,
@@ -295,7 +295,7 @@ async function renderFullGallery(allMedia) {
 
   // Generate HTML for each media card
   const cardsHTML = sortedMedia
-    .map((item, index) => renderMediaCard(item, index))
+    .map((item, index) => renderFanclubMediaCard(item, index))
     .join('');
 
   // Insert generated HTML into the page
@@ -305,7 +305,7 @@ async function renderFullGallery(allMedia) {
   fanclubGalleryState.allMedia = sortedMedia;
 
   // Initialize lightbox with custom content renderer
-  initLightbox();
+  initFanclubLightbox();
 
   DurtNursUtils.debug('✅ Full Fan Club gallery rendered successfully');
 }
@@ -318,9 +318,9 @@ async function renderFullGallery(allMedia) {
  * Initializes lightbox using shared lightbox.js module
  * Uses custom content renderer for exclusive badge support
  */
-function initLightbox() {
+function initFanclubLightbox() {
   // Create lightbox instance using shared module
-  lightbox = window.createLightbox({
+  fanclubLightbox = window.createLightbox({
     containerId: 'fanclub-gallery-grid',
     getState: () => fanclubGalleryState,
     setState: (updates) => Object.assign(fanclubGalleryState, updates),
@@ -329,7 +329,7 @@ function initLightbox() {
   });
 
   // Initialize click handlers
-  lightbox.init();
+  fanclubLightbox.init();
 
   DurtNursUtils.debug('🔍 Fan Club lightbox initialized');
 }
@@ -146,6 +146,7 @@ function renderFeaturedRelease(release) {
 
   // Destructure release data for cleaner code
   const {
+    id,
     title,
     releaseDate,
     type,
@@ -174,8 +175,8 @@ function renderFeaturedRelease(release) {
   // Template literals allow multi-line strings and embedded expressions
   const html = `
     <div class="album-card">
-      <!-- Album Cover Artwork -->
-      <div class="album-card__artwork">
+      <!-- Album Cover Artwork (morphs into its release card on SPA navigation) -->
+      <div class="album-card__artwork" data-transition-name="cover-${id}">
         ${coverArtHTML}
       </div>
 
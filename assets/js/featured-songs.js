@@ -62,6 +62,8 @@ function collectFeaturedSongs(releases) {
           audioFile: track.audioFile,
           duration: track.duration || '',
           featuredOrder: track.featuredOrder,
+          lyricsFile: track.lyricsFile,
+          lyrics: track.lyrics,
           // Artwork (track-specific or album fallback)
           artwork: artwork,
           artworkAlt: artworkAlt,
@@ -101,7 +103,10 @@ function renderSongCard(song) {
     duration: song.duration,
     artwork: song.artwork,
     albumTitle: song.albumTitle,
-    artist: song.artist
+    artist: song.artist,
+    releaseId: song.albumId,
+    lyricsFile: song.lyricsFile,
+    lyrics: song.lyrics
   };
   const dataAttr = encodeURIComponent(JSON.stringify(trackData));
 
@@ -117,11 +122,12 @@ function renderSongCard(song) {
 
   return `
     <article class="song-card">
-      <div class="song-card__artwork-wrapper">
+      <div class="song-card__artwork-wrapper" data-transition-name="cover-${song.albumId}">
         ${artworkHTML}
         <button class="song-card__play-btn"
                 type="button"
                 aria-label="Play ${song.title}"
+                data-audio-file="${song.audioFile}"
                 data-track="${dataAttr}">
           <span class="song-card__play-icon" aria-hidden="true"></span>
         </button>
@@ -132,6 +138,18 @@ function renderSongCard(song) {
           From: <a href="/releases/#${song.albumId}">${song.albumTitle}</a>
         </p>
         ${song.duration ? `<span class="song-card__duration">${song.duration}</span>` : ''}
+        <div class="song-card__queue-actions">
+          <button class="song-card__queue-btn"
+                  type="button"
+                  data-queue-action="next"
+                  aria-label="Play ${song.title} next"
+                  data-track="${dataAttr}">Play Next</button>
+          <button class="song-card__queue-btn"
+                  type="button"
+                  data-queue-action="add"
+                  aria-label="Add ${song.title} to queue"
+                  data-track="${dataAttr}">Add to Queue</button>
+        </div>
       </div>
     </article>
   `;
@@ -183,7 +201,7 @@ function hideSongsStates() {
 // =============================================================================
 
 /**
- * Binds click handlers for play buttons
+ * Binds click handlers for play and queue buttons
  * Integrates with existing DurtNursPlayer
  */
 function bindSongPlayButtons() {
@@ -191,20 +209,29 @@ function bindSongPlayButtons() {
   if (!container) return;
 
   container.addEventListener('click', (e) => {
-    const playBtn = e.target.closest('.song-card__play-btn');
-    if (!playBtn) return;
+    const btn = e.target.closest('.song-card__play-btn, .song-card__queue-btn');
+    if (!btn) return;
 
     e.preventDefault();
 
-    const trackDataStr = playBtn.getAttribute('data-track');
+    const trackDataStr = btn.getAttribute('data-track');
     if (!trackDataStr) return;
 
     try {
       const trackData = JSON.parse(decodeURIComponent(trackDataStr));
-      if (typeof DurtNursPlayer !== 'undefined') {
-        DurtNursPlayer.play(trackData);
-      } else {
+      if (typeof DurtNursPlayer === 'undefined') {
         DurtNursUtils.debugWarn('⚠️ DurtNursPlayer not available');
+        return;
+      }
+
+      // Queue buttons carry data-queue-action ("next" or "add")
+      const queueAction = btn.getAttribute('data-queue-action');
+      if (queueAction === 'next') {
+        DurtNursPlayer.playNext(trackData);
+      } else if (queueAction === 'add') {
+        DurtNursPlayer.enqueue(trackData);
+      } else {
+        DurtNursPlayer.play(trackData);
       }
     } catch (err) {
       DurtNursUtils.debugError('Error parsing track data:', err);
@@ -212,6 +239,19 @@ function bindSongPlayButtons() {
   });
 }
 
+// =============================================================================
+// NOW PLAYING
+// =============================================================================
+
+/**
+ * Marks the song card whose track the player has loaded
+ */
+function watchSongPlayback() {
+  if (typeof DurtNursPlayer === 'undefined') return;
+
+  DurtNursPlayer.markPlaying('.song-card__play-btn[data-audio-file]', 'song-card__play-btn');
+}
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
@@ -257,6 +297,7 @@ async function initFeaturedSongs() {
     hideSongsStates();
     toggleSongsSectionVisibility(true);
     bindSongPlayButtons();
+    watchSongPlayback();
 
     DurtNursUtils.debug('✅ Featured songs module initialized successfully');
 
@@ -0,0 +1,187 @@
+/**
+ * LISTENING HISTORY MODULE
+ * Shows "Recently played" and "Your most played" on the homepage
+ *
+ * PURPOSE:
+ * DurtNursPlayer logs plays, skips and completions to localStorage as
+ * visitors listen. This module reads that log back so returning fans can
+ * jump straight to what they had on last time.
+ *
+ * NOTES:
+ * - Personal to this browser; nothing is sent to a server
+ * - Section stays hidden until at least one play has been recorded
+ * - A play counts after 30 seconds or half the track (see audio-player.js)
+ * - Refreshes on the player's trackchange event
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const HISTORY_CONFIG = {
+  sectionId: 'listening-history-section',
+  recentListId: 'recently-played-list',
+  mostPlayedListId: 'most-played-list',
+  clearButtonId: 'listening-history-clear',
+  limit: 5
+};
+
+// =============================================================================
+// HTML GENERATION
+// =============================================================================
+
+/**
+ * Formats a timestamp as a rough "time ago" label
+ * Example: 3 hours ago, yesterday, 12 days ago
+ *
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Human-readable relative time
+ */
+function formatPlayedAgo(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+
+  const days = Math.round(hours / 24);
+  if (days === 1) return 'yesterday';
+  return `${days} days ago`;
+}
+
+/**
+ * Renders one track row with a play button
+ *
+ * @param {Object} track - Track from DurtNursPlayer.getListeningHistory()
+ * @param {string} detail - Secondary text (e.g. "3 plays", "yesterday")
+ * @returns {string} HTML string for the list item
+ */
+function renderHistoryItem(track, detail) {
+  // Stats aren't part of the track data the player expects
+  const { plays, completions, skips, playedAt, ...trackData } = track;
+  const dataAttr = encodeURIComponent(JSON.stringify(trackData));
+  const title = DurtNursUtils.escapeHTML(track.title);
+
+  return `
+    <li class="history-list__item">
+      <button class="history-list__play-btn"
+              type="button"
+              aria-label="Play ${title}"
+              data-track="${dataAttr}">
+        <span class="history-list__play-icon" aria-hidden="true"></span>
+      </button>
+      <span class="history-list__info">
+        <span class="history-list__title">${title}</span>
+        <span class="history-list__album">${DurtNursUtils.escapeHTML(track.albumTitle)}</span>
+      </span>
+      <span class="history-list__detail">${DurtNursUtils.escapeHTML(detail)}</span>
+    </li>
+  `;
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Renders both lists, or hides the section when there's no history yet
+ */
+function renderListeningHistory() {
+  const section = document.getElementById(HISTORY_CONFIG.sectionId);
+  const recentList = document.getElementById(HISTORY_CONFIG.recentListId);
+  const mostPlayedList = document.getElementById(HISTORY_CONFIG.mostPlayedListId);
+  if (!section || !recentList || !mostPlayedList) return;
+
+  const { recent, mostPlayed } = DurtNursPlayer.getListeningHistory({ limit: HISTORY_CONFIG.limit });
+
+  if (recent.length === 0) {
+    section.hidden = true;
+    return;
+  }
+
+  recentList.innerHTML = recent
+    .map(track => renderHistoryItem(track, formatPlayedAgo(track.playedAt)))
+    .join('');
+
+  mostPlayedList.innerHTML = mostPlayed
+    .map(track => renderHistoryItem(track, `${track.plays} play${track.plays === 1 ? '' : 's'}`))
+    .join('');
+
+  section.hidden = false;
+  DurtNursUtils.debug(`📈 Listening history: ${recent.length} recent, ${mostPlayed.length} most played`);
+}
+
+// =============================================================================
+// EVENT HANDLING
+// =============================================================================
+
+/**
+ * Binds play and clear buttons via event delegation on the section
+ */
+function bindListeningHistoryEvents() {
+  const section = document.getElementById(HISTORY_CONFIG.sectionId);
+  if (!section) return;
+
+  section.addEventListener('click', (e) => {
+    if (e.target.closest(`#${HISTORY_CONFIG.clearButtonId}`)) {
+      if (window.confirm('Forget your listening history on this device?')) {
+        DurtNursPlayer.clearListeningHistory();
+        renderListeningHistory();
+      }
+      return;
+    }
+
+    const btn = e.target.closest('.history-list__play-btn');
+    if (!btn) return;
+
+    try {
+      const trackData = JSON.parse(decodeURIComponent(btn.getAttribute('data-track')));
+      DurtNursPlayer.play(trackData);
+    } catch (err) {
+      DurtNursUtils.debugError('Error parsing track data:', err);
+    }
+  });
+}
+
+/**
+ * Re-renders when the player moves on, so the track that just finished shows up
+ * The handler no-ops on pages without the section; on() ignores repeat subscriptions.
+ */
+function watchListeningHistory() {
+  DurtNursPlayer.on('trackchange', renderListeningHistory);
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Main initialization function
+ */
+function initListeningHistory() {
+  if (!document.getElementById(HISTORY_CONFIG.sectionId)) return;
+
+  if (typeof DurtNursPlayer === 'undefined') {
+    DurtNursUtils.debugWarn('⚠️ DurtNursPlayer not available, skipping listening history');
+    return;
+  }
+
+  renderListeningHistory();
+  bindListeningHistoryEvents();
+  watchListeningHistory();
+}
+
+// =============================================================================
+// AUTO-INITIALIZATION
+// =============================================================================
+
+DurtNursUtils.onDOMReady(initListeningHistory);
+
+// Register with SPA navigation for page transitions
+if (typeof DurtNursSPA !== 'undefined') {
+  DurtNursSPA.registerModule('listening-history', initListeningHistory, {
+    pages: ['home']
+  });
+}
@@ -0,0 +1,341 @@
+/**
+ * OFFLINE MODULE
+ * "Save for offline" for tracks and releases
+ *
+ * Features:
+ * - Stores MP3s, their artwork and a copy of releases.json in Cache Storage
+ * - Registers the service worker (/sw.js) that serves them without a connection
+ * - Keeps an index of saved tracks and their sizes (localStorage) for the storage manager
+ * - Drops index entries the browser has evicted from the cache
+ *
+ * Usage:
+ * DurtNursOffline.saveTracks([trackData, ...])  // Resolves once every file is cached
+ * DurtNursOffline.removeTracks([audioFile, ...])
+ * DurtNursOffline.clearAll()
+ * DurtNursOffline.isSaved(audioFile)
+ * DurtNursOffline.getSavedTracks()              // [{ ...trackData, bytes, savedAt }]
+ * DurtNursOffline.getUsage()                    // { tracks, extras, total } in bytes
+ *
+ * Dispatches 'offline:change' on document whenever the saved set changes.
+ */
+
+const DurtNursOffline = {
+
+  // ==========================================================================
+  // STATE
+  // ==========================================================================
+
+  _CACHE_NAME: 'durtnurs-offline-v1',     // Must match OFFLINE_CACHE in sw.js
+  _STORAGE_KEY: 'durtNursOfflineTracks',
+  _RELEASES_URL: '/assets/data/releases.json',
+  _isInitialized: false,
+  _tracks: {},                // audioFile -> { ...trackData, bytes, savedAt }
+  _extras: {},                // Artwork / releases.json URL -> bytes
+  _saving: new Set(),         // audioFiles being downloaded
+
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
+
+  /**
+   * Load the saved index and register the service worker
+   */
+  init() {
+    if (this._isInitialized || !this.isSupported()) return;
+    this._isInitialized = true;
+
+    this._loadIndex();
+
+    navigator.serviceWorker.register('/sw.js')
+      .then(() => DurtNursUtils.debug('📦 Service worker registered'))
+      .catch(error => DurtNursUtils.debugError('❌ Service worker registration failed:', error));
+
+    this._verifyCache();
+  },
+
+  /**
+   * Whether this browser can save tracks (Cache Storage + service workers)
+   * Service workers also need a secure context (https or localhost).
+   */
+  isSupported() {
+    return 'caches' in window && 'serviceWorker' in navigator && window.isSecureContext !== false;
+  },
+
+  /**
+   * @param {string} audioFile
+   * @returns {boolean} True if the track is stored for offline playback
+   */
+  isSaved(audioFile) {
+    return Object.prototype.hasOwnProperty.call(this._tracks, audioFile);
+  },
+
+  /**
+   * @param {string} audioFile
+   * @returns {boolean} True while the track is downloading
+   */
+  isSaving(audioFile) {
+    return this._saving.has(audioFile);
+  },
+
+  /**
+   * Download tracks (plus artwork and releases.json) into the offline cache
+   * Tracks already saved are skipped. If one fails the rest still save.
+   * @param {Object[]} tracks - Track data as passed to DurtNursPlayer.play()
+   * @returns {Promise<number>} How many tracks were newly saved
+   * @throws {Error} The first failure (e.g. QuotaExceededError) after the others finish
+   */
+  async saveTracks(tracks) {
+    const pending = tracks.filter(track => track.audioFile && !this.isSaved(track.audioFile) && !this.isSaving(track.audioFile));
+    if (pending.length === 0) return 0;
+
+    pending.forEach(track => this._saving.add(track.audioFile));
+    this._notify();
+
+    const cache = await caches.open(this._CACHE_NAME);
+    let saved = 0;
+    let firstError = null;
+
+    // One at a time - these are whole MP3s and phones may be on a slow connection
+    for (const track of pending) {
+      try {
+        const bytes = await this._storeFile(cache, track.audioFile);
+        const { title, audioFile, duration, artwork, albumTitle, artist, releaseId, lyricsFile, lyrics } = track;
+
+        this._tracks[audioFile] = {
+          title, audioFile, duration, artwork, albumTitle, artist, releaseId, lyricsFile, lyrics,
+          bytes,
+          savedAt: Date.now()
+        };
+        saved++;
+
+        await this._storeExtras(cache, track);
+        DurtNursUtils.debug(`📦 Saved for offline: ${title} (${this.formatBytes(bytes)})`);
+      } catch (error) {
+        DurtNursUtils.debugError(`❌ Could not save ${track.title} for offline:`, error);
+        firstError = firstError || error;
+      } finally {
+        this._saving.delete(track.audioFile);
+        this._saveIndex();
+        this._notify();
+      }
+    }
+
+    if (firstError) throw firstError;
+    return saved;
+  },
+
+  /**
+   * Remove saved tracks, and any artwork or data nothing else needs
+   * @param {string[]} audioFiles
+   */
+  async removeTracks(audioFiles) {
+    const cache = await caches.open(this._CACHE_NAME);
+
+    for (const audioFile of audioFiles) {
+      if (!this.isSaved(audioFile)) continue;
+
+      delete this._tracks[audioFile];
+      await cache.delete(audioFile);
+    }
+
+    // Artwork shared with other saved tracks stays
+    const stillNeeded = new Set(Object.values(this._tracks).flatMap(track => this._extraUrls(track)));
+    if (Object.keys(this._tracks).length > 0) stillNeeded.add(this._RELEASES_URL);
+
+    for (const url of Object.keys(this._extras)) {
+      if (!stillNeeded.has(url)) {
+        delete this._extras[url];
+        await cache.delete(url);
+      }
+    }
+
+    this._saveIndex();
+    this._notify();
+  },
+
+  /**
+   * Remove everything saved for offline
+   */
+  async clearAll() {
+    await caches.delete(this._CACHE_NAME);
+    this._tracks = {};
+    this._extras = {};
+    this._saveIndex();
+    this._notify();
+  },
+
+  /**
+   * Saved tracks, most recently saved first
+   * @returns {Object[]} Track data with bytes and savedAt
+   */
+  getSavedTracks() {
+    return Object.values(this._tracks).sort((a, b) => b.savedAt - a.savedAt);
+  },
+
+  /**
+   * Bytes used by saved tracks and by the artwork/data saved with them
+   * @returns {{ tracks: number, extras: number, total: number }}
+   */
+  getUsage() {
+    const sum = values => values.reduce((total, bytes) => total + (bytes || 0), 0);
+    const tracks = sum(Object.values(this._tracks).map(track => track.bytes));
+    const extras = sum(Object.values(this._extras));
+
+    return { tracks, extras, total: tracks + extras };
+  },
+
+  /**
+   * Ask the browser how much space the site may use
+   * @returns {Promise<{ usage: number, quota: number }|null>} Null when unsupported
+   */
+  async getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Format a byte count for display
+   * Example: 4718592 becomes "4.5 MB"
+   * @param {number} bytes
+   * @returns {string}
+   */
+  formatBytes(bytes) {
+    if (!bytes) return '0 KB';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - CACHE
+  // ==========================================================================
+
+  /**
+   * Fetch a file and put it in the cache
+   * @param {Cache} cache
+   * @param {string} url - Site-absolute path
+   * @returns {Promise<number>} Size in bytes
+   */
+  async _storeFile(cache, url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+
+    // Store the body as a blob so the size is known and the worker can slice it for Range requests
+    const blob = await response.blob();
+    await cache.put(url, new Response(blob, {
+      headers: {
+        'Content-Type': response.headers.get('Content-Type') || blob.type,
+        'Content-Length': String(blob.size)
+      }
+    }));
+
+    return blob.size;
+  },
+
+  /**
+   * Save the artwork for a track, and refresh the releases.json copy
+   * Failures here don't fail the track - it still plays without them.
+   * @param {Cache} cache
+   * @param {Object} track
+   */
+  async _storeExtras(cache, track) {
+    const urls = [...this._extraUrls(track), this._RELEASES_URL];
+
+    for (const url of urls) {
+      // releases.json is re-fetched each time so the offline copy stays current
+      if (this._extras[url] && url !== this._RELEASES_URL) continue;
+
+      try {
+        this._extras[url] = await this._storeFile(cache, url);
+      } catch (error) {
+        DurtNursUtils.debugWarn(`⚠️ Could not save ${url} for offline:`, error);
+      }
+    }
+  },
+
+  /**
+   * Artwork files a track shows: the image and the WebP variant pictureElement() prefers
+   * @param {Object} track
+   * @returns {string[]}
+   */
+  _extraUrls(track) {
+    if (!track.artwork) return [];
+
+    const webp = track.artwork.replace(/\.(png|jpe?g)$/i, '.webp');
+    return webp === track.artwork ? [track.artwork] : [track.artwork, webp];
+  },
+
+  /**
+   * Forget saved tracks the browser has evicted from Cache Storage
+   */
+  async _verifyCache() {
+    if (Object.keys(this._tracks).length === 0) return;
+
+    try {
+      const cache = await caches.open(this._CACHE_NAME);
+      const cachedUrls = new Set((await cache.keys()).map(request => new URL(request.url).pathname));
+      const evicted = Object.keys(this._tracks).filter(audioFile => !cachedUrls.has(encodeURI(audioFile)) && !cachedUrls.has(audioFile));
+
+      if (evicted.length > 0) {
+        DurtNursUtils.debugWarn(`⚠️ ${evicted.length} offline track(s) were evicted by the browser`);
+        await this.removeTracks(evicted);
+      }
+    } catch (error) {
+      DurtNursUtils.debugWarn('⚠️ Could not check the offline cache:', error);
+    }
+  },
+
+  // ==========================================================================
+  // PRIVATE METHODS - INDEX
+  // ==========================================================================
+
+  /**
+   * Load the saved-track index from localStorage
+   */
+  _loadIndex() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this._STORAGE_KEY));
+      if (saved && saved.tracks) {
+        this._tracks = saved.tracks;
+        this._extras = saved.extras || {};
+      }
+    } catch (e) {
+      // Ignore corrupt or unavailable storage
+    }
+  },
+
+  /**
+   * Persist the saved-track index
+   */
+  _saveIndex() {
+    try {
+      localStorage.setItem(this._STORAGE_KEY, JSON.stringify({ tracks: this._tracks, extras: this._extras }));
+    } catch (e) {
+      // Ignore storage errors
+    }
+  },
+
+  /**
+   * Tell page modules the saved set (or download progress) changed
+   */
+  _notify() {
+    document.dispatchEvent(new CustomEvent('offline:change'));
+  }
+
+};
+
+// ==========================================================================
+// AUTO-INITIALIZATION
+// ==========================================================================
+
+DurtNursUtils.onDOMReady(() => {
+  DurtNursOffline.init();
+});
@@ -26,7 +26,7 @@
  *   Why stored in data? Ensures alt text is content-managed, not hardcoded
  * - description: Album description (string, supports plain text)
  * - tracklist: Array of track objects (or strings for backward compatibility)
- *   Each track object contains: title, hasAudio, and optional audioFile, duration, streamingLinks, artwork, featured
+ *   Each track object contains: title, hasAudio, and optional audioFile, duration, streamingLinks, artwork, featured, lyricsFile, lyrics
  * - featured: Boolean flag to highlight primary/newest release
  *   Featured releases get special styling (larger cards, prominent borders)
  */
@@ -82,6 +82,43 @@ function getYear(isoDate) {
   return date.getFullYear().toString();
 }
 
+// =============================================================================
+// TRACK HELPERS
+// =============================================================================
+
+/**
+ * Checks whether a tracklist entry can be played in the audio player
+ * Legacy string entries never have audio.
+ *
+ * @param {Object|string} track - Tracklist entry
+ * @returns {boolean} True if the track has an audio file
+ */
+function isPlayableTrack(track) {
+  return typeof track === 'object' && Boolean(track.hasAudio && track.audioFile);
+}
+
+/**
+ * Builds the track data object DurtNursPlayer expects
+ * Track artwork falls back to the release cover.
+ *
+ * @param {Object} track - Playable track object
+ * @param {Object} release - Parent release object
+ * @returns {Object} Track data for DurtNursPlayer
+ */
+function buildTrackData(track, release) {
+  return {
+    title: track.title,
+    audioFile: track.audioFile,
+    duration: track.duration || '',
+    artwork: track.artwork || release.coverArt,
+    albumTitle: release.title,
+    artist: release.artist,
+    releaseId: release.id,
+    lyricsFile: track.lyricsFile,
+    lyrics: track.lyrics
+  };
+}
+
 // =============================================================================
 // HTML GENERATION
 // =============================================================================
@@ -134,6 +171,25 @@ function renderReleaseCard(release) {
   // Example: .release-card[data-type="live"] { ... }
   const dataTypeAttr = `data-type="${type}"`;
 
+  // "Play album" button - queues every playable track in tracklist order
+  const playableTracks = (tracklist || [])
+    .filter(isPlayableTrack)
+    .map(track => buildTrackData(track, release));
+
+  const playAlbumHTML = playableTracks.length > 0 ? `
+    <button class="release-card__play-album-btn"
+            type="button"
+            aria-label="Play album: ${title}"
+            data-tracks="${encodeURIComponent(JSON.stringify(playableTracks))}">
+      <span class="release-card__play-icon" aria-hidden="true"></span>
+      Play album${playableTracks.length > 1 ? ` (${playableTracks.length} tracks)` : ''}
+    </button>
+    ${renderSaveAlbumButton(playableTracks, title)}
+  ` : '';
+
+  // "Saved offline" badge - filled in when any of the album is saved
+  const offlineBadgeHTML = renderOfflineBadge(playableTracks);
+
   // Generate tracklist HTML
   // Create an ordered list of tracks with optional play buttons
   // Supports both object format (new) and string format (backward compatible)
@@ -146,19 +202,11 @@ function renderReleaseCard(release) {
         ${tracklist.map((track) => {
           // Handle both string (legacy) and object (new) formats
           const trackTitle = typeof track === 'string' ? track : track.title;
-          const hasAudio = typeof track === 'object' && track.hasAudio && track.audioFile;
+          const trackSlug = DurtNursUtils.slugify(trackTitle);
 
-          if (hasAudio) {
+          if (isPlayableTrack(track)) {
             // Build data attributes for the play button
-            const trackData = {
-              title: track.title,
-              audioFile: track.audioFile,
-              duration: track.duration || '',
-              artwork: track.artwork || coverArt,
-              albumTitle: title,
-              artist: artist
-            };
-            const dataAttr = encodeURIComponent(JSON.stringify(trackData));
+            const dataAttr = encodeURIComponent(JSON.stringify(buildTrackData(track, release)));
 
             const streamingHTML = (track.streamingLinks || []).map(link => {
               const config = STREAMING_PLATFORMS[link.platform];
@@ -166,19 +214,33 @@ function renderReleaseCard(release) {
               return `<a class="release-card__streaming-link" href="${link.url}" target="_blank" rel="noopener noreferrer" aria-label="Listen to ${trackTitle} on ${config.label}" title="${config.label}">${config.icon}</a>`;
             }).join('');
 
-            return `<li class="release-card__track release-card__track--playable">
+            return `<li class="release-card__track release-card__track--playable" data-track-slug="${trackSlug}">
               <button class="release-card__play-btn"
                       type="button"
                       aria-label="Play ${trackTitle}"
+                      data-audio-file="${track.audioFile}"
                       data-track="${dataAttr}">
                 <span class="release-card__play-icon" aria-hidden="true"></span>
               </button>
               <span class="release-card__track-title">${trackTitle}</span>
               ${track.duration ? `<span class="release-card__track-duration">${track.duration}</span>` : ''}
               ${streamingHTML}
+              <button class="release-card__queue-btn"
+                      type="button"
+                      data-queue-action="next"
+                      aria-label="Play ${trackTitle} next"
+                      title="Play next"
+                      data-track="${dataAttr}">&raquo;</button>
+              <button class="release-card__queue-btn"
+                      type="button"
+                      data-queue-action="add"
+                      aria-label="Add ${trackTitle} to queue"
+                      title="Add to queue"
+                      data-track="${dataAttr}">+</button>
+              ${renderOfflineTrackButton(track.audioFile, trackTitle, dataAttr)}
             </li>`;
           } else {
-            return `<li class="release-card__track">${trackTitle}</li>`;
+            return `<li class="release-card__track" data-track-slug="${trackSlug}">${trackTitle}</li>`;
           }
         }).join('')}
       </ol>
@@ -204,8 +266,8 @@ function renderReleaseCard(release) {
   return `
     <article class="release-card${featuredClass}" id="${id}" ${dataTypeAttr}>
 
-      <!-- Album Cover -->
-      <div class="release-card__cover-wrapper">
+      <!-- Album Cover (shared view transition name with the homepage covers) -->
+      <div class="release-card__cover-wrapper" data-transition-name="cover-${id}">
         ${coverArtHTML}
       </div>
 
@@ -216,6 +278,7 @@ function renderReleaseCard(release) {
         <header class="release-card__header">
           <h3 class="release-card__title">${title}</h3>
           <span class="release-card__type-badge">${type}</span>
+          ${offlineBadgeHTML}
         </header>
 
         <!-- Artist Name -->
@@ -229,6 +292,9 @@ function renderReleaseCard(release) {
         <!-- Description -->
         <p class="release-card__description">${description}</p>
 
+        <!-- Play whole album -->
+        ${playAlbumHTML}
+
         <!-- Tracklist (collapsible) -->
         ${tracklistHTML}
 
@@ -319,6 +385,17 @@ async function init() {
 
     // Bind click handlers for track play buttons
     bindTrackPlayButtons();
+
+    // Handle ?track=<release-id>/<slug>&t=<seconds> share links
+    openTrackDeepLink();
+
+    // Highlight whatever the player has on (it keeps playing across navigation)
+    watchReleasePlayback();
+
+    // Saved-for-offline badges and the storage manager
+    bindOfflineManager();
+    renderOfflineManager();
+    watchOfflineChanges();
   }
   else {
     DurtNursUtils.debug('ℹ️ No release containers found on this page');
@@ -326,7 +403,7 @@ async function init() {
 }
 
 /**
- * Binds click event handlers to all track play buttons
+ * Binds click event handlers to all track play, queue and "Play album" buttons
  * Uses event delegation on the releases grid for efficiency
  */
 function bindTrackPlayButtons() {
@@ -334,34 +411,455 @@ function bindTrackPlayButtons() {
   if (!container) return;
 
   container.addEventListener('click', (e) => {
-    const playBtn = e.target.closest('.release-card__play-btn');
-    if (!playBtn) return;
+    const albumBtn = e.target.closest('.release-card__play-album-btn');
+    if (albumBtn) {
+      e.preventDefault();
+      playAlbum(albumBtn);
+      return;
+    }
+
+    const offlineBtn = e.target.closest('.release-card__offline-btn, .release-card__save-album-btn');
+    if (offlineBtn) {
+      e.preventDefault();
+      toggleOfflineTracks(offlineBtn);
+      return;
+    }
+
+    const btn = e.target.closest('.release-card__play-btn, .release-card__queue-btn');
+    if (!btn) return;
 
     e.preventDefault();
 
     // Parse track data from button's data attribute
-    const trackDataStr = playBtn.getAttribute('data-track');
+    const trackDataStr = btn.getAttribute('data-track');
     if (!trackDataStr) {
-      DurtNursUtils.debugWarn('⚠️ No track data found on play button');
+      DurtNursUtils.debugWarn('⚠️ No track data found on track button');
       return;
     }
 
     try {
       const trackData = JSON.parse(decodeURIComponent(trackDataStr));
-      DurtNursUtils.debug('🎵 Playing track:', trackData.title);
 
-      // Call the audio player
-      if (typeof DurtNursPlayer !== 'undefined') {
-        DurtNursPlayer.play(trackData);
-      } else {
+      if (typeof DurtNursPlayer === 'undefined') {
         DurtNursUtils.debugError('❌ DurtNursPlayer not available');
+        return;
+      }
+
+      // Queue buttons carry data-queue-action ("next" or "add")
+      const queueAction = btn.getAttribute('data-queue-action');
+      if (queueAction === 'next') {
+        DurtNursPlayer.playNext(trackData);
+      } else if (queueAction === 'add') {
+        DurtNursPlayer.enqueue(trackData);
+      } else {
+        DurtNursUtils.debug('🎵 Playing track:', trackData.title);
+        DurtNursPlayer.play(trackData);
       }
     } catch (err) {
       DurtNursUtils.debugError('❌ Error parsing track data:', err);
     }
   });
 
-  DurtNursUtils.debug('✅ Track play button handlers bound');
+  DurtNursUtils.debug('✅ Track button handlers bound');
+}
+
+/**
+ * Plays every track stored on a "Play album" button, in tracklist order
+ *
+ * @param {HTMLButtonElement} albumBtn - Button carrying data-tracks
+ */
+function playAlbum(albumBtn) {
+  const tracksStr = albumBtn.getAttribute('data-tracks');
+  if (!tracksStr) return;
+
+  try {
+    const tracks = JSON.parse(decodeURIComponent(tracksStr));
+    DurtNursUtils.debug(`💿 Playing album: ${tracks.length} track(s)`);
+
+    if (typeof DurtNursPlayer !== 'undefined') {
+      DurtNursPlayer.playAll(tracks);
+    } else {
+      DurtNursUtils.debugError('❌ DurtNursPlayer not available');
+    }
+  } catch (err) {
+    DurtNursUtils.debugError('❌ Error parsing album tracks:', err);
+  }
+}
+
+// =============================================================================
+// DEEP LINKS
+// =============================================================================
+
+/**
+ * Opens the track named in a ?track=<release-id>/<track-slug>&t=<seconds> link
+ * Expands the card's tracklist, scrolls to the track and starts playback at
+ * the offset. Browsers may block autoplay on a fresh page load; the player
+ * then stays cued at the offset until the visitor presses play.
+ *
+ * Builds on the plain /releases/#<id> anchors (cards use the release id).
+ */
+function openTrackDeepLink() {
+  const link = DurtNursUtils.parseTrackLink(window.location.search);
+  if (!link) return;
+
+  const card = document.getElementById(link.releaseId);
+  if (!card || !card.classList.contains('release-card')) {
+    DurtNursUtils.debugWarn(`⚠️ Deep link release not found: ${link.releaseId}`);
+    return;
+  }
+
+  const scrollBehavior = window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth';
+  const trackItem = card.querySelector(`[data-track-slug="${CSS.escape(link.trackSlug)}"]`);
+
+  if (!trackItem) {
+    DurtNursUtils.debugWarn(`⚠️ Deep link track not found: ${link.trackSlug}`);
+    card.scrollIntoView({ behavior: scrollBehavior, block: 'start' });
+    return;
+  }
+
+  // Tracklists are collapsed by default
+  const details = trackItem.closest('details');
+  if (details) details.open = true;
+
+  trackItem.classList.add('release-card__track--linked');
+  trackItem.scrollIntoView({ behavior: scrollBehavior, block: 'center' });
+
+  const playBtn = trackItem.querySelector('.release-card__play-btn');
+  if (!playBtn) return;
+
+  playBtn.focus({ preventScroll: true });
+
+  if (typeof DurtNursPlayer === 'undefined') {
+    DurtNursUtils.debugError('❌ DurtNursPlayer not available');
+    return;
+  }
+
+  try {
+    const trackData = JSON.parse(decodeURIComponent(playBtn.getAttribute('data-track')));
+    DurtNursUtils.debug(`🔗 Deep link: ${trackData.title} at ${link.startTime}s`);
+    DurtNursPlayer.play(trackData, { startTime: link.startTime });
+  } catch (err) {
+    DurtNursUtils.debugError('❌ Error parsing track data:', err);
+  }
+}
+
+// =============================================================================
+// NOW PLAYING
+// =============================================================================
+
+/**
+ * Marks the play button of the track the player has loaded
+ * --current while it's loaded, --playing while it's actually playing.
+ */
+function watchReleasePlayback() {
+  if (typeof DurtNursPlayer === 'undefined') return;
+
+  DurtNursPlayer.markPlaying('.release-card__play-btn[data-audio-file]', 'release-card__play-btn');
+}
+
+// =============================================================================
+// SAVE FOR OFFLINE
+// =============================================================================
+
+/**
+ * Button text and labels for each offline state
+ * 'partial' only applies to albums (some tracks saved).
+ */
+const OFFLINE_LABELS = {
+  none: { icon: '\u2913', album: 'Save for offline', action: 'Save', tooltip: 'Save for offline' },
+  partial: { icon: '\u2913', album: 'Save the rest', action: 'Save', tooltip: 'Save for offline' },
+  saving: { icon: '\u2026', album: 'Saving\u2026', action: 'Saving', tooltip: 'Saving for offline\u2026' },
+  saved: { icon: '\u2713', album: 'Saved offline', action: 'Remove', tooltip: 'Saved for offline (click to remove)' }
+};
+
+/**
+ * Checks whether this browser can save tracks for offline listening
+ *
+ * @returns {boolean} True if DurtNursOffline is loaded and supported
+ */
+function canSaveOffline() {
+  return typeof DurtNursOffline !== 'undefined' && DurtNursOffline.isSupported();
+}
+
+/**
+ * Works out the offline state of one or more tracks
+ *
+ * @param {string[]} audioFiles - Track audio files
+ * @returns {string} 'saving', 'saved', 'partial' or 'none'
+ */
+function getOfflineStatus(audioFiles) {
+  if (audioFiles.some(audioFile => DurtNursOffline.isSaving(audioFile))) return 'saving';
+
+  const savedCount = audioFiles.filter(audioFile => DurtNursOffline.isSaved(audioFile)).length;
+  if (savedCount === 0) return 'none';
+  return savedCount === audioFiles.length ? 'saved' : 'partial';
+}
+
+/**
+ * Accessible name for an offline button
+ * Example: "Save Careers for offline", "Remove Careers from offline"
+ *
+ * @param {string} status - Offline state
+ * @param {string} name - Track or album title
+ * @returns {string} aria-label text
+ */
+function getOfflineButtonLabel(status, name) {
+  const { action } = OFFLINE_LABELS[status];
+  return action === 'Remove' ? `Remove ${name} from offline` : `${action} ${name} for offline`;
+}
+
+/**
+ * Generates the per-track "Save for offline" toggle
+ *
+ * @param {string} audioFile - Track audio file
+ * @param {string} trackTitle - Track title (for the label)
+ * @param {string} dataAttr - Encoded track data
+ * @returns {string} HTML string, or '' when saving isn't supported
+ */
+function renderOfflineTrackButton(audioFile, trackTitle, dataAttr) {
+  if (!canSaveOffline()) return '';
+
+  const status = getOfflineStatus([audioFile]);
+
+  return `<button class="release-card__offline-btn release-card__offline-btn--${status}"
+                  type="button"
+                  aria-label="${DurtNursUtils.escapeHTML(getOfflineButtonLabel(status, trackTitle))}"
+                  aria-pressed="${status === 'saved'}"
+                  title="${OFFLINE_LABELS[status].tooltip}"
+                  data-name="${DurtNursUtils.escapeHTML(trackTitle)}"
+                  data-audio-file="${DurtNursUtils.escapeHTML(audioFile)}"
+                  data-track="${dataAttr}">${OFFLINE_LABELS[status].icon}</button>`;
+}
+
+/**
+ * Generates the "Save for offline" button for a whole release
+ *
+ * @param {Object[]} playableTracks - Track data for every playable track
+ * @param {string} title - Release title
+ * @returns {string} HTML string, or '' when saving isn't supported
+ */
+function renderSaveAlbumButton(playableTracks, title) {
+  if (!canSaveOffline() || playableTracks.length === 0) return '';
+
+  const status = getOfflineStatus(playableTracks.map(track => track.audioFile));
+
+  return `
+    <button class="release-card__save-album-btn release-card__save-album-btn--${status}"
+            type="button"
+            aria-label="${DurtNursUtils.escapeHTML(getOfflineButtonLabel(status, title))}"
+            aria-pressed="${status === 'saved'}"
+            data-name="${DurtNursUtils.escapeHTML(title)}"
+            data-tracks="${encodeURIComponent(JSON.stringify(playableTracks))}">${OFFLINE_LABELS[status].album}</button>
+  `;
+}
+
+/**
+ * Generates the card's offline badge
+ * "Offline" when every playable track is saved, "1/2 offline" when some are.
+ *
+ * @param {Object[]} playableTracks - Track data for every playable track
+ * @returns {string} HTML string (hidden when nothing is saved)
+ */
+function renderOfflineBadge(playableTracks) {
+  if (!canSaveOffline() || playableTracks.length === 0) return '';
+
+  const audioFiles = playableTracks.map(track => track.audioFile);
+  const savedCount = audioFiles.filter(audioFile => DurtNursOffline.isSaved(audioFile)).length;
+  const text = savedCount === audioFiles.length ? 'Offline' : `${savedCount}/${audioFiles.length} offline`;
+
+  return `<span class="release-card__offline-badge"
+                data-audio-files="${encodeURIComponent(JSON.stringify(audioFiles))}"
+                title="Saved for offline listening"${savedCount === 0 ? ' hidden' : ''}>${text}</span>`;
+}
+
+/**
+ * Saves or removes the tracks on an offline button
+ * Saved (all tracks) removes them; otherwise saves whatever isn't saved yet.
+ *
+ * @param {HTMLButtonElement} btn - Track or album offline button
+ */
+async function toggleOfflineTracks(btn) {
+  if (!canSaveOffline()) return;
+
+  // Album buttons carry data-tracks, track buttons a single data-track
+  let tracks;
+  try {
+    tracks = btn.hasAttribute('data-tracks')
+      ? JSON.parse(decodeURIComponent(btn.getAttribute('data-tracks')))
+      : [JSON.parse(decodeURIComponent(btn.getAttribute('data-track')))];
+  } catch (err) {
+    DurtNursUtils.debugError('❌ Error parsing offline track data:', err);
+    return;
+  }
+
+  const audioFiles = tracks.map(track => track.audioFile);
+  const status = getOfflineStatus(audioFiles);
+  const name = btn.dataset.name;
+
+  if (status === 'saving') return;
+
+  if (status === 'saved') {
+    await DurtNursOffline.removeTracks(audioFiles);
+    announceOfflineStatus(`Removed ${name} from offline.`);
+    return;
+  }
+
+  try {
+    await DurtNursOffline.saveTracks(tracks);
+    announceOfflineStatus(`Saved ${name} for offline.`);
+  } catch (err) {
+    const reason = err.name === 'QuotaExceededError'
+      ? 'there isn\'t enough storage space on this device'
+      : 'the download failed';
+    announceOfflineStatus(`Couldn't save ${name} for offline: ${reason}.`);
+  }
+}
+
+/**
+ * Brings every offline button and badge on the page up to date
+ * Updates in place so keyboard focus stays on the button that was pressed.
+ */
+function syncOfflineButtons() {
+  if (!canSaveOffline()) return;
+
+  document.querySelectorAll('.release-card__offline-btn').forEach(btn => {
+    const status = getOfflineStatus([btn.dataset.audioFile]);
+    btn.className = `release-card__offline-btn release-card__offline-btn--${status}`;
+    btn.textContent = OFFLINE_LABELS[status].icon;
+    btn.title = OFFLINE_LABELS[status].tooltip;
+    btn.setAttribute('aria-label', getOfflineButtonLabel(status, btn.dataset.name));
+    btn.setAttribute('aria-pressed', String(status === 'saved'));
+  });
+
+  document.querySelectorAll('.release-card__save-album-btn').forEach(btn => {
+    const tracks = JSON.parse(decodeURIComponent(btn.getAttribute('data-tracks')));
+    const status = getOfflineStatus(tracks.map(track => track.audioFile));
+    btn.className = `release-card__save-album-btn release-card__save-album-btn--${status}`;
+    btn.textContent = OFFLINE_LABELS[status].album;
+    btn.setAttribute('aria-label', getOfflineButtonLabel(status, btn.dataset.name));
+    btn.setAttribute('aria-pressed', String(status === 'saved'));
+  });
+
+  document.querySelectorAll('.release-card__offline-badge').forEach(badge => {
+    const audioFiles = JSON.parse(decodeURIComponent(badge.dataset.audioFiles));
+    const savedCount = audioFiles.filter(audioFile => DurtNursOffline.isSaved(audioFile)).length;
+    badge.textContent = savedCount === audioFiles.length ? 'Offline' : `${savedCount}/${audioFiles.length} offline`;
+    badge.hidden = savedCount === 0;
+  });
+}
+
+// =============================================================================
+// OFFLINE STORAGE MANAGER
+// =============================================================================
+
+/**
+ * Renders the "Saved for Offline" list with sizes and totals
+ * Stays hidden in browsers that can't save tracks.
+ */
+async function renderOfflineManager() {
+  const section = document.getElementById('offline-manager');
+  const list = document.getElementById('offline-manager-list');
+  const summary = document.getElementById('offline-manager-summary');
+  const clearBtn = document.getElementById('offline-manager-clear');
+  if (!section || !list || !summary || !clearBtn || !canSaveOffline()) return;
+
+  const tracks = DurtNursOffline.getSavedTracks();
+  const usage = DurtNursOffline.getUsage();
+  const formatBytes = bytes => DurtNursOffline.formatBytes(bytes);
+
+  section.hidden = false;
+  clearBtn.hidden = tracks.length === 0;
+
+  if (tracks.length === 0) {
+    list.innerHTML = '';
+    summary.textContent = 'Nothing saved yet. Use \u2913 next to a track, or "Save for offline" on a release, to listen without a connection.';
+    return;
+  }
+
+  list.innerHTML = tracks.map(track => `
+    <li class="offline-manager__item">
+      <span class="offline-manager__info">
+        <span class="offline-manager__title">${DurtNursUtils.escapeHTML(track.title)}</span>
+        <span class="offline-manager__album">${DurtNursUtils.escapeHTML(track.albumTitle)}</span>
+      </span>
+      <span class="offline-manager__size">${formatBytes(track.bytes)}</span>
+      <button class="offline-manager__remove-btn"
+              type="button"
+              aria-label="Remove ${DurtNursUtils.escapeHTML(track.title)} from offline"
+              data-audio-file="${DurtNursUtils.escapeHTML(track.audioFile)}">Remove</button>
+    </li>
+  `).join('') + (usage.extras > 0 ? `
+    <li class="offline-manager__item offline-manager__item--extras">
+      <span class="offline-manager__info">
+        <span class="offline-manager__title">Artwork &amp; release info</span>
+      </span>
+      <span class="offline-manager__size">${formatBytes(usage.extras)}</span>
+    </li>
+  ` : '');
+
+  summary.textContent = `${tracks.length} track${tracks.length === 1 ? '' : 's'} saved \u00b7 ${formatBytes(usage.total)}`;
+
+  // The browser's quota covers the whole site, not just saved tracks
+  const estimate = await DurtNursOffline.getStorageEstimate();
+  if (estimate && estimate.quota) {
+    summary.textContent += ` (${formatBytes(estimate.quota - estimate.usage)} free for this site)`;
+  }
+
+  DurtNursUtils.debug(`📦 Offline manager: ${tracks.length} track(s), ${formatBytes(usage.total)}`);
+}
+
+/**
+ * Binds remove and "Remove all" buttons via event delegation on the section
+ */
+function bindOfflineManager() {
+  const section = document.getElementById('offline-manager');
+  if (!section) return;
+
+  section.addEventListener('click', async (e) => {
+    if (e.target.closest('#offline-manager-clear')) {
+      if (window.confirm('Remove every track saved for offline on this device?')) {
+        await DurtNursOffline.clearAll();
+        announceOfflineStatus('Removed everything saved for offline.');
+      }
+      return;
+    }
+
+    const btn = e.target.closest('.offline-manager__remove-btn');
+    if (!btn) return;
+
+    await DurtNursOffline.removeTracks([btn.dataset.audioFile]);
+    announceOfflineStatus('Removed from offline.');
+
+    // The row is gone - keep focus in the section
+    document.getElementById('offline-manager-heading').focus();
+  });
+}
+
+/**
+ * Shows the result of a save or remove in the manager's status line
+ * The line is a live region, so screen readers hear it wherever focus is.
+ *
+ * @param {string} message - Text to show
+ */
+function announceOfflineStatus(message) {
+  const status = document.getElementById('offline-manager-status');
+  if (status) status.textContent = message;
+}
+
+/**
+ * Re-syncs buttons, badges and the manager when the saved set changes
+ * No-ops on pages without them.
+ */
+function onOfflineChange() {
+  syncOfflineButtons();
+  renderOfflineManager();
+}
+
+/**
+ * Listens for offline changes (adding the same listener again on re-init is a no-op)
+ */
+function watchOfflineChanges() {
+  document.addEventListener('offline:change', onOfflineChange);
 }
 
 // =============================================================================
@@ -8,9 +8,24 @@
  * How it works:
  * 1. Intercepts clicks on internal links
  * 2. Fetches new page content via fetch()
- * 3. Replaces only the <main> element content
+ * 3. Replaces only the <main> element content - or, when the new page uses
+ *    a different layout, the [data-spa-layout] region (keeping the header
+ *    and footer when the new page's match, and swapping layout styles)
  * 4. Updates URL, title, and active nav state
  * 5. Reinitializes page-specific JavaScript
+ * 6. Restores the scroll position (Back/Forward), moves focus to the new
+ *    page's <h1> and announces its title to screen readers
+ *
+ * Only the latest navigation commits: starting one cancels the fetch of the
+ * last. A thin bar at the top shows fetch progress, and a page that takes
+ * longer than _config.timeout is loaded normally instead.
+ *
+ * Where the View Transitions API is available the swap is animated, and
+ * covers tagged with data-transition-name morph between pages.
+ *
+ * Pages are prefetched when a link is hovered, touched or scrolled into
+ * view, and kept in a small in-memory cache (LRU with a TTL) that clicks
+ * and Back/Forward read from.
  *
  * Usage: Include after utils.js. Scripts register themselves via
  * DurtNursSPA.registerModule() for reinitialization after navigation.
@@ -25,21 +40,43 @@ const DurtNursSPA = {
   _config: {
     // Selector for the content container to replace
     contentSelector: 'main',
+    // Layout-level region swapped when the new page uses another layout (see src/_layouts/)
+    layoutSelector: '[data-spa-layout]',
+    // Parts of the layout region kept in place when both layouts have them
+    sharedSelectors: ['.site-header', '.site-footer'],
     // Selector for navigation links that should update active state
     // Must target <a> elements only — <span> dropdown triggers also carry this class
     // and span.href is undefined, causing new URL(undefined) to throw on every nav
     navLinkSelector: 'a.main-nav__link',
     // Class for active navigation link
     activeNavClass: 'main-nav__link--active',
+    // Links inside nav dropdowns, and the dropdown items that hold them
+    dropdownLinkSelector: 'a.main-nav__dropdown-link',
+    activeDropdownLinkClass: 'main-nav__dropdown-link--active',
+    dropdownItemSelector: '.main-nav__item--has-dropdown',
+    activeDropdownItemClass: 'main-nav__item--active',
     // Links to exclude from SPA navigation (external, downloads, etc.)
+    // Anchor jumps within the current page are left to the browser (see _shouldIntercept)
     excludePatterns: [
       /^https?:\/\/(?!.*durtnurs\.com)/i, // External links
       /\.(pdf|zip|mp3|wav|ogg)$/i,        // File downloads
       /^mailto:/i,                         // Email links
-      /^tel:/i,                            // Phone links
-      /#/,                                 // Hash-only links (anchor jumps)
-      /^\/(checkout|fanclub)\//i             // Pages using layouts without <main> element
-    ]
+      /^tel:/i                             // Phone links
+    ],
+    // Parsed pages kept in memory (least recently used are dropped first)
+    cacheSize: 12,
+    // How long a cached page is reused before it's fetched again (ms)
+    cacheTTL: 5 * 60 * 1000,
+    // Hover this long before prefetching, so sweeping the mouse across the nav doesn't
+    hoverDelay: 80,
+    // Longest a navigation waits for modules to render the new page (ms)
+    // Scroll, focus and the view transition hold until then; anything slower
+    // (e.g. a module preloading images) just finishes rendering afterwards
+    renderWait: 1000,
+    // Scrolling must pause this long before the position is saved to history (ms)
+    scrollSaveDelay: 150,
+    // Give up on a page that hasn't arrived after this long and load it normally (ms)
+    timeout: 10000
   },
 
   // Registry of page modules for reinitialization
@@ -51,6 +88,41 @@ const DurtNursSPA = {
   // Flag to prevent duplicate initialization
   _initialized: false,
 
+  // Page cache: URL (without hash) -> { doc, fetchedAt }, oldest first
+  _pageCache: new Map(),
+
+  // Fetches in flight, so a prefetch and the click that follows share one request
+  // URL -> { request, controller, waiting, keepAlive, progress, listeners } (see _fetchPage)
+  _pendingPages: new Map(),
+
+  // Prefetch triggers (kept in an object - the module itself is frozen)
+  _prefetch: {
+    hoverLink: null,
+    hoverTimer: null,
+    observer: null
+  },
+
+  // Debounce for saving the scroll position into history.state
+  _scrollState: {
+    saveTimer: null
+  },
+
+  // Visually hidden live region that announces each new page
+  _announcer: {
+    element: null
+  },
+
+  // Latest navigation: its id and the AbortController for its fetch
+  _navigation: {
+    id: 0,
+    controller: null
+  },
+
+  // Top-of-page progress bar driven by _setLoadingState()
+  _progress: {
+    element: null
+  },
+
   // ==========================================================================
   // PUBLIC API
   // ==========================================================================
@@ -74,6 +146,19 @@ const DurtNursSPA = {
     // Set up browser history handling
     this._bindPopState();
 
+    // Remember where each history entry was scrolled to
+    this._bindScrollTracking();
+
+    // Tell screen reader users when the page changes
+    this._createAnnouncer();
+
+    // Show fetch progress during navigation
+    this._createProgressBar();
+
+    // Fetch pages ahead of the click
+    this._bindPrefetch();
+    this._observeLinks();
+
     // Lock body scroll when mobile nav is open
     this._bindNavToggle();
 
@@ -149,10 +234,11 @@ const DurtNursSPA = {
       if (pattern.test(href)) return false;
     }
 
-    // Skip external links
+    // Skip external links, and anchor jumps within this page
     try {
-      const url = new URL(href, window.location.origin);
+      const url = new URL(href, window.location.href);
       if (url.origin !== window.location.origin) return false;
+      if (url.hash && url.pathname === window.location.pathname && url.search === window.location.search) return false;
     } catch {
       return false;
     }
@@ -169,6 +255,10 @@ const DurtNursSPA = {
    *
    * @param {string} url - URL to navigate to
    * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replaceState] - Use replaceState instead of pushState
+   * @param {boolean} [options.force] - Navigate even if the URL is unchanged
+   * @param {boolean} [options.fromHistory] - Triggered by Back/Forward (popstate)
+   * @param {number} [options.scrollY] - Scroll position to restore (Back/Forward)
    * @returns {Promise<boolean>} Success status
    */
   async _performNavigation(url, options = {}) {
@@ -179,56 +269,94 @@ const DurtNursSPA = {
       return false;
     }
 
+    // Save the position on the page we're leaving (on Back/Forward the browser has already moved on)
+    if (!options.fromHistory) {
+      this._saveScrollPosition();
+    }
+
+    // Only the latest navigation may commit; starting one cancels the last
+    const navigation = this._beginNavigation();
+    const isCurrent = () => navigation.id === this._navigation.id;
+
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      navigation.controller.abort();
+    }, this._config.timeout);
+
     try {
       // Show loading state
       this._setLoadingState(true);
 
-      // Fetch new page
-      const response = await fetch(fullUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+      // Fetch new page (or reuse a prefetched / recently visited one)
+      const doc = await this._fetchPage(fullUrl, {
+        signal: navigation.controller.signal,
+        onProgress: (progress) => {
+          if (isCurrent()) this._setLoadingState(true, progress);
+        }
+      });
+      clearTimeout(timeout);
+
+      // A newer navigation started while this page was shared with a prefetch
+      if (!isCurrent()) return false;
+
+      // Pages outside the site layouts (e.g. the embed player) load normally
+      if (!doc.querySelector(this._config.layoutSelector) || !document.querySelector(this._config.layoutSelector)) {
+        throw new Error('Could not find a layout region in response');
       }
 
-      const html = await response.text();
+      await this._transition(async () => {
+        // Superseded before the transition got to run
+        if (!isCurrent()) return;
 
-      // Parse and extract content
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
+        // The new page shouldn't be captured dimmed
+        this._setLoadingState(false);
 
-      // Extract main content
-      const newContent = doc.querySelector(this._config.contentSelector);
-      if (!newContent) {
-        throw new Error('Could not find main content in response');
-      }
+        // Run cleanup on current modules
+        this._cleanupModules();
 
-      // Run cleanup on current modules
-      this._cleanupModules();
+        // Replace content (and the layout, if it changes)
+        await this._swapContent(doc);
 
-      // Replace content
-      const currentContent = document.querySelector(this._config.contentSelector);
-      currentContent.innerHTML = newContent.innerHTML;
+        // Update page metadata
+        this._updatePageMeta(doc);
+
+        // Update navigation state
+        this._updateNavigation(fullUrl);
 
-      // Update page metadata
-      this._updatePageMeta(doc);
+        // Update browser history
+        const state = { spa: true, scrollY: options.scrollY || 0 };
+        if (options.replaceState) {
+          history.replaceState(state, '', fullUrl);
+        } else {
+          history.pushState(state, '', fullUrl);
+        }
 
-      // Update navigation state
-      this._updateNavigation(fullUrl);
+        // Close mobile nav if open
+        this._closeMobileNav();
 
-      // Update browser history
-      if (options.replaceState) {
-        history.replaceState({ spa: true }, '', fullUrl);
-      } else {
-        history.pushState({ spa: true }, '', fullUrl);
-      }
+        // Load and initialize page scripts (resolves once modules have rendered, or renderWait passes)
+        const { rendered } = await this._initializePageScripts(doc);
+
+        // A newer navigation has taken over the page meanwhile
+        if (!isCurrent()) return;
+
+        // Scroll once the page is full height: saved position, hash target or top
+        this._handleScroll(url, options.scrollY);
 
-      // Close mobile nav if open
-      this._closeMobileNav();
+        // A page still rendering may be too short for a saved position, or lack the hash target yet
+        this._scrollWhenRendered(rendered, url, options.scrollY, isCurrent);
 
-      // Scroll to top or to hash target
-      this._handleScroll(url);
+        // Start keyboard and screen reader users at the top of the new content
+        this._focusPage(url);
+      });
+
+      if (!isCurrent()) return false;
+
+      this._announce(document.title);
 
-      // Load and initialize page scripts
-      await this._initializePageScripts(doc);
+      // Watch the new page's links for prefetching
+      this._observeLinks();
 
       // Dispatch custom event for other scripts to hook into
       document.dispatchEvent(new CustomEvent('spa:navigation', {
@@ -239,13 +367,436 @@ const DurtNursSPA = {
       return true;
 
     } catch (error) {
-      DurtNursUtils.debugError('❌ SPA navigation failed:', error);
+      clearTimeout(timeout);
+
+      // Cancelled by a newer navigation, which now owns the page
+      if (!isCurrent()) {
+        DurtNursUtils.debug(`⏭️ SPA navigation superseded: ${fullUrl}`);
+        return false;
+      }
+
+      // Cancelled some other way - nothing failed, so don't reload
+      if (error && error.name === 'AbortError' && !timedOut) {
+        DurtNursUtils.debug(`⏭️ SPA navigation cancelled: ${fullUrl}`);
+        return false;
+      }
+
+      if (timedOut) {
+        DurtNursUtils.debugWarn(`⏱️ SPA navigation timed out after ${this._config.timeout}ms, loading normally`);
+      } else {
+        DurtNursUtils.debugError('❌ SPA navigation failed:', error);
+      }
+
       // Fall back to traditional navigation
       window.location.href = url;
       return false;
 
     } finally {
-      this._setLoadingState(false);
+      if (isCurrent()) {
+        this._navigation.controller = null;
+        this._setLoadingState(false);
+      }
+    }
+  },
+
+  /**
+   * Start a navigation, cancelling the fetch of any still in flight
+   *
+   * @returns {{ id: number, controller: AbortController }} This navigation
+   */
+  _beginNavigation() {
+    if (this._navigation.controller) {
+      this._navigation.controller.abort();
+    }
+
+    this._navigation.id++;
+    this._navigation.controller = new AbortController();
+
+    return { id: this._navigation.id, controller: this._navigation.controller };
+  },
+
+  // ==========================================================================
+  // VIEW TRANSITIONS
+  // ==========================================================================
+
+  /**
+   * Run a page swap inside a view transition, or directly where unsupported
+   * or when the visitor prefers reduced motion
+   *
+   * @param {Function} update - Async function that swaps the page
+   * @returns {Promise} Settles when the update has finished (not the animation)
+   */
+  async _transition(update) {
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (typeof document.startViewTransition !== 'function' || reduceMotion) {
+      await update();
+      return;
+    }
+
+    // Name the covers on the outgoing page before it's captured
+    this._nameSharedElements();
+    document.documentElement.classList.add('spa-view-transition');
+
+    let updating = null;
+    const transition = document.startViewTransition(async () => {
+      updating = update();
+
+      // Wait for modules to render the covers, but don't hold the screen frozen for long
+      await Promise.race([
+        updating.catch(() => {}),
+        new Promise(resolve => setTimeout(resolve, this._config.renderWait))
+      ]);
+
+      this._nameSharedElements();
+    });
+
+    transition.finished
+      .catch(() => {})
+      .then(() => document.documentElement.classList.remove('spa-view-transition'));
+
+    // A skipped or failed animation doesn't matter; a failed update does
+    await transition.updateCallbackDone.catch(() => {});
+    await updating;
+  },
+
+  /**
+   * Give tagged elements their view-transition-name
+   * Names must be unique per page, so only the first element with each name
+   * gets it (e.g. the featured release wins over a song card from the same album).
+   */
+  _nameSharedElements() {
+    const used = new Set();
+
+    document.querySelectorAll('[data-transition-name]').forEach(element => {
+      const name = element.getAttribute('data-transition-name');
+      const isFirst = !used.has(name);
+
+      used.add(name);
+      element.style.viewTransitionName = isFirst ? CSS.escape(name) : '';
+    });
+  },
+
+  // ==========================================================================
+  // PAGE CACHE
+  // ==========================================================================
+
+  /**
+   * Get a parsed page, from the cache if it's fresh
+   * Concurrent requests for the same page share one fetch, and each waiting
+   * caller hears its progress. Aborting stops that caller waiting; the fetch
+   * itself is cancelled once nobody is waiting on it (a prefetch - no signal -
+   * keeps it going).
+   *
+   * @param {string} url - Page URL
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops waiting (and cancels the fetch if no one else wants it)
+   * @param {Function} [options.onProgress] - Called with 0-1 as the page downloads, when measurable
+   * @returns {Promise<Document>} Parsed document (treat as read-only - it may be reused)
+   */
+  _fetchPage(url, { signal, onProgress } = {}) {
+    const key = this._cacheKey(url);
+
+    const cached = this._getCachedPage(key);
+    if (cached) {
+      DurtNursUtils.debug(`⚡ Page cache hit: ${key}`);
+      return Promise.resolve(cached);
+    }
+
+    const pending = this._pendingPages.get(key) || this._startFetch(key);
+
+    if (!signal) {
+      pending.keepAlive = true;
+      return pending.request;
+    }
+
+    if (!signal.aborted) {
+      pending.waiting++;
+      if (onProgress) {
+        pending.listeners.add(onProgress);
+        // Joining a download already under way - catch up
+        if (pending.progress !== null) onProgress(pending.progress);
+      }
+
+      signal.addEventListener('abort', () => {
+        pending.waiting--;
+        pending.listeners.delete(onProgress);
+        if (pending.waiting === 0 && !pending.keepAlive) {
+          pending.controller.abort();
+          this._forgetPending(key, pending);
+        }
+      }, { once: true });
+    }
+
+    return this._whileNotAborted(pending.request, signal);
+  },
+
+  /**
+   * Fetch and parse a page, registering it in _pendingPages until it settles
+   * Progress goes to whoever is in the entry's listeners at the time.
+   *
+   * @param {string} key - Cache key (absolute URL without hash)
+   * @returns {{ request: Promise<Document>, controller: AbortController, waiting: number, keepAlive: boolean, progress: number|null, listeners: Set<Function> }}
+   */
+  _startFetch(key) {
+    const controller = new AbortController();
+    const pending = { request: null, controller, waiting: 0, keepAlive: false, progress: null, listeners: new Set() };
+
+    const onProgress = (progress) => {
+      pending.progress = progress;
+      pending.listeners.forEach(listener => listener(progress));
+    };
+
+    pending.request = fetch(key, { signal: controller.signal })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return this._readText(response, onProgress);
+      })
+      .then(html => {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        this._cachePage(key, doc);
+        return doc;
+      })
+      .finally(() => {
+        this._forgetPending(key, pending);
+      });
+
+    // Nobody may be waiting when it fails (e.g. a cancelled fetch)
+    pending.request.catch(() => {});
+
+    this._pendingPages.set(key, pending);
+    return pending;
+  },
+
+  /**
+   * Drop a fetch from _pendingPages, unless a newer one for the URL has replaced it
+   *
+   * @param {string} key - Cache key
+   * @param {Object} pending - Entry from _startFetch()
+   */
+  _forgetPending(key, pending) {
+    if (this._pendingPages.get(key) === pending) {
+      this._pendingPages.delete(key);
+    }
+  },
+
+  /**
+   * Read a response body, reporting progress when the size is known
+   * Compressed responses give the compressed Content-Length, so they aren't measured.
+   *
+   * @param {Response} response - Fetch response
+   * @param {Function} [onProgress] - Called with 0-1 per chunk
+   * @returns {Promise<string>} Body text
+   */
+  async _readText(response, onProgress) {
+    const total = Number(response.headers.get('Content-Length'));
+    if (!onProgress || !response.body || !total || response.headers.get('Content-Encoding')) {
+      return response.text();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = 0;
+    let text = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      received += value.length;
+      text += decoder.decode(value, { stream: true });
+      onProgress(Math.min(received / total, 1));
+    }
+
+    return text + decoder.decode();
+  },
+
+  /**
+   * Settle with a promise, or reject as soon as the signal aborts
+   *
+   * @param {Promise} promise - Work that can't itself be cancelled
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise} Same result, or the abort reason
+   */
+  _whileNotAborted(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      promise.then(resolve, reject);
+    });
+  },
+
+  /**
+   * Cache key for a URL - the hash doesn't change the page
+   *
+   * @param {string} url - Absolute or site-relative URL
+   * @returns {string} Absolute URL without its hash
+   */
+  _cacheKey(url) {
+    const parsed = new URL(url, window.location.origin);
+    parsed.hash = '';
+    return parsed.href;
+  },
+
+  /**
+   * Read a page from the cache, dropping it if it has expired
+   *
+   * @param {string} key - Cache key
+   * @returns {Document|null} Parsed document, or null on a miss
+   */
+  _getCachedPage(key) {
+    const entry = this._pageCache.get(key);
+    if (!entry) return null;
+
+    this._pageCache.delete(key);
+    if (Date.now() - entry.fetchedAt > this._config.cacheTTL) {
+      return null;
+    }
+
+    // Re-insert so it counts as most recently used
+    this._pageCache.set(key, entry);
+    return entry.doc;
+  },
+
+  /**
+   * Store a page, evicting the least recently used past the size limit
+   *
+   * @param {string} key - Cache key
+   * @param {Document} doc - Parsed document
+   */
+  _cachePage(key, doc) {
+    this._pageCache.delete(key);
+    this._pageCache.set(key, { doc, fetchedAt: Date.now() });
+
+    while (this._pageCache.size > this._config.cacheSize) {
+      this._pageCache.delete(this._pageCache.keys().next().value);
+    }
+  },
+
+  // ==========================================================================
+  // PREFETCHING
+  // ==========================================================================
+
+  /**
+   * Prefetch on hover (after a short delay) and immediately on touch
+   */
+  _bindPrefetch() {
+    document.addEventListener('mouseover', (e) => {
+      const link = this._getPrefetchLink(e.target);
+      if (!link || link === this._prefetch.hoverLink) return;
+
+      clearTimeout(this._prefetch.hoverTimer);
+      this._prefetch.hoverLink = link;
+      this._prefetch.hoverTimer = setTimeout(() => {
+        this._prefetchPage(link.href);
+      }, this._config.hoverDelay);
+    });
+
+    document.addEventListener('mouseout', (e) => {
+      const link = this._prefetch.hoverLink;
+      if (!link || link.contains(e.relatedTarget)) return;
+
+      clearTimeout(this._prefetch.hoverTimer);
+      this._prefetch.hoverLink = null;
+    });
+
+    document.addEventListener('touchstart', (e) => {
+      const link = this._getPrefetchLink(e.target);
+      if (link) this._prefetchPage(link.href);
+    }, { passive: true });
+  },
+
+  /**
+   * Prefetch internal links as they scroll into view
+   * Re-run after each navigation; links already cached aren't watched.
+   */
+  _observeLinks() {
+    if (!('IntersectionObserver' in window) || !this._canPrefetch()) return;
+
+    if (!this._prefetch.observer) {
+      this._prefetch.observer = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+
+          observer.unobserve(entry.target);
+          this._whenIdle(() => this._prefetchPage(entry.target.href));
+        });
+      });
+    }
+
+    const observer = this._prefetch.observer;
+    observer.disconnect();
+
+    document.querySelectorAll('a[href]').forEach(link => {
+      if (this._getPrefetchLink(link) && !this._pageCache.has(this._cacheKey(link.href))) {
+        observer.observe(link);
+      }
+    });
+  },
+
+  /**
+   * Fetch a page into the cache without navigating
+   * Failures are ignored here - a click will try again and fall back if needed.
+   *
+   * @param {string} url - Page URL
+   */
+  _prefetchPage(url) {
+    if (!this._canPrefetch()) return;
+
+    const key = this._cacheKey(url);
+    if (this._pendingPages.has(key) || this._getCachedPage(key)) return;
+
+    this._fetchPage(key)
+      .then(() => DurtNursUtils.debug(`⚡ Prefetched: ${key}`))
+      .catch(error => DurtNursUtils.debugWarn(`⚠️ Prefetch failed for ${key}:`, error));
+  },
+
+  /**
+   * The link (if any) under an event target that's worth prefetching
+   *
+   * @param {Element} target - Event target
+   * @returns {HTMLAnchorElement|null} Internal link to another page
+   */
+  _getPrefetchLink(target) {
+    const link = target.closest && target.closest('a[href]');
+    if (!link) return null;
+
+    const href = link.getAttribute('href');
+    if (!this._shouldIntercept(href, link)) return null;
+
+    // The current page is already on screen
+    return this._cacheKey(link.href) === this._cacheKey(window.location.href) ? null : link;
+  },
+
+  /**
+   * Skip prefetching when the visitor has asked to save data or is on 2G
+   *
+   * @returns {boolean} Whether prefetching is allowed
+   */
+  _canPrefetch() {
+    const connection = navigator.connection;
+    if (!connection) return true;
+
+    return !connection.saveData && !/(^|-)2g$/.test(connection.effectiveType || '');
+  },
+
+  /**
+   * Run a callback when the browser is idle (or soon, where unsupported)
+   *
+   * @param {Function} callback - Work to defer
+   */
+  _whenIdle(callback) {
+    if ('requestIdleCallback' in window) {
+      requestIdleCallback(callback, { timeout: 2000 });
+    } else {
+      setTimeout(callback, 200);
     }
   },
 
@@ -253,6 +804,107 @@ const DurtNursSPA = {
   // CONTENT UPDATES
   // ==========================================================================
 
+  /**
+   * Put the new page's content in place
+   * Pages on the same layout only swap <main>. Otherwise the layout region is
+   * rebuilt from the new page, keeping the current header and footer where
+   * the new page's are the same (apart from which link is active).
+   *
+   * @param {Document} doc - Parsed document
+   */
+  async _swapContent(doc) {
+    const region = document.querySelector(this._config.layoutSelector);
+    const newRegion = doc.querySelector(this._config.layoutSelector);
+    const currentContent = region.querySelector(this._config.contentSelector);
+    const newContent = newRegion.querySelector(this._config.contentSelector);
+
+    if (region.dataset.spaLayout === newRegion.dataset.spaLayout && currentContent && newContent) {
+      currentContent.innerHTML = newContent.innerHTML;
+      return;
+    }
+
+    // Styles first, so the new layout is never shown unstyled
+    await this._updateLayoutStyles(doc);
+
+    // Parsed in this document (not imported from doc) so <noscript> content stays inert
+    const incoming = document.createElement('div');
+    incoming.innerHTML = newRegion.innerHTML;
+
+    const nodes = [...incoming.childNodes].map(node => {
+      if (node.nodeType !== Node.ELEMENT_NODE) return node;
+
+      const shared = this._config.sharedSelectors.find(selector => node.matches(selector));
+      const current = shared && region.querySelector(`:scope > ${shared}`);
+      return current && this._isSameSharedElement(current, node) ? current : node;
+    });
+
+    region.replaceChildren(...nodes);
+    region.dataset.spaLayout = newRegion.dataset.spaLayout;
+
+    DurtNursUtils.debug(`🧱 Switched layout to: ${newRegion.dataset.spaLayout}`);
+  },
+
+  /**
+   * Whether a header/footer can stay in place of the new page's copy
+   * Active link classes and aria-current are ignored - _updateNavigation() sets those.
+   *
+   * @param {Element} current - Element on the page now
+   * @param {Element} incoming - Same part of the new page
+   * @returns {boolean} True if they only differ in active state
+   */
+  _isSameSharedElement(current, incoming) {
+    const withoutActiveState = element => {
+      const copy = element.cloneNode(true);
+
+      copy.querySelectorAll('[aria-current]').forEach(el => el.removeAttribute('aria-current'));
+      copy.querySelectorAll('[class]').forEach(el => {
+        el.className = [...el.classList].filter(name => !name.endsWith('--active')).join(' ');
+      });
+
+      return copy;
+    };
+
+    return withoutActiveState(current).isEqualNode(withoutActiveState(incoming));
+  },
+
+  /**
+   * Bring <head> styles in line with the new page's (e.g. base-legal.njk's inline styles)
+   * New stylesheets are added and loaded before old ones are removed.
+   *
+   * @param {Document} doc - Parsed document
+   */
+  async _updateLayoutStyles(doc) {
+    const selector = 'style, link[rel="stylesheet"]';
+    const styleKey = element => (element.tagName === 'LINK'
+      ? new URL(element.getAttribute('href'), window.location.origin).href
+      : element.textContent.trim());
+
+    const current = [...document.head.querySelectorAll(selector)];
+    const incoming = [...doc.head.querySelectorAll(selector)];
+    const currentKeys = new Set(current.map(styleKey));
+    const incomingKeys = new Set(incoming.map(styleKey));
+
+    const loading = incoming
+      .filter(element => !currentKeys.has(styleKey(element)))
+      .map(element => {
+        const copy = document.importNode(element, true);
+        document.head.appendChild(copy);
+
+        if (copy.tagName !== 'LINK') return null;
+        return new Promise(resolve => {
+          copy.addEventListener('load', resolve, { once: true });
+          copy.addEventListener('error', resolve, { once: true });
+        });
+      })
+      .filter(Boolean);
+
+    await Promise.all(loading);
+
+    current
+      .filter(element => !incomingKeys.has(styleKey(element)))
+      .forEach(element => element.remove());
+  },
+
   /**
    * Update page title and meta tags
    *
@@ -287,25 +939,36 @@ const DurtNursSPA = {
 
   /**
    * Update navigation active state
+   * Covers top-level links, dropdown links and the dropdowns holding the active one.
    *
    * @param {string} url - Current URL
    */
   _updateNavigation(url) {
     const pathname = new URL(url).pathname;
-    const navLinks = document.querySelectorAll(this._config.navLinkSelector);
-
-    navLinks.forEach(link => {
-      const linkPath = new URL(link.href).pathname;
-      const isActive = pathname === linkPath ||
-        (linkPath !== '/' && pathname.startsWith(linkPath));
-
-      link.classList.toggle(this._config.activeNavClass, isActive);
+    const links = [
+      [this._config.navLinkSelector, this._config.activeNavClass],
+      [this._config.dropdownLinkSelector, this._config.activeDropdownLinkClass]
+    ];
+
+    links.forEach(([selector, activeClass]) => {
+      document.querySelectorAll(selector).forEach(link => {
+        const linkPath = new URL(link.href).pathname;
+        const isActive = pathname === linkPath ||
+          (linkPath !== '/' && pathname.startsWith(linkPath));
+
+        link.classList.toggle(activeClass, isActive);
+
+        if (isActive) {
+          link.setAttribute('aria-current', 'page');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+    });
 
-      if (isActive) {
-        link.setAttribute('aria-current', 'page');
-      } else {
-        link.removeAttribute('aria-current');
-      }
+    document.querySelectorAll(this._config.dropdownItemSelector).forEach(item => {
+      const hasActiveLink = Boolean(item.querySelector(`.${this._config.activeDropdownLinkClass}`));
+      item.classList.toggle(this._config.activeDropdownItemClass, hasActiveLink);
     });
   },
 
@@ -322,45 +985,148 @@ const DurtNursSPA = {
 
   /**
    * Bind body scroll lock to the mobile nav toggle checkbox
+   * Delegated, because the header may only arrive with a later layout swap.
    */
   _bindNavToggle() {
-    const toggle = document.getElementById('nav-toggle');
-    if (toggle) {
-      toggle.addEventListener('change', () => {
-        document.body.classList.toggle('nav-open', toggle.checked);
-      });
-    }
+    document.addEventListener('change', (e) => {
+      if (e.target.id === 'nav-toggle') {
+        document.body.classList.toggle('nav-open', e.target.checked);
+      }
+    });
   },
 
   /**
    * Handle scroll position after navigation
    *
    * @param {string} url - Navigated URL
+   * @param {number} [scrollY] - Saved position to return to (Back/Forward)
    */
-  _handleScroll(url) {
-    const hash = new URL(url, window.location.origin).hash;
+  _handleScroll(url, scrollY) {
+    if (scrollY !== undefined) {
+      window.scrollTo({ top: scrollY, behavior: 'instant' });
+      return;
+    }
 
-    if (hash) {
-      // Scroll to hash target
-      const target = document.querySelector(hash);
-      if (target) {
-        target.scrollIntoView({ behavior: 'smooth' });
-        return;
-      }
+    // Scroll to hash target
+    const target = this._getHashTarget(url);
+    if (target) {
+      target.scrollIntoView({ behavior: 'smooth' });
+      return;
     }
 
     // Scroll to top
     window.scrollTo({ top: 0, behavior: 'instant' });
   },
 
+  /**
+   * Scroll again once slow modules have finished rendering: to a saved position
+   * the page was too short for, or to a hash target that wasn't there yet
+   * (e.g. /news/#003). Skipped if the visitor has scrolled or moved on since.
+   *
+   * @param {Promise} rendered - Settles when every module has rendered
+   * @param {string} url - Navigated URL
+   * @param {number} [scrollY] - Saved position (Back/Forward)
+   * @param {Function} isCurrent - Whether the navigation still owns the page
+   */
+  _scrollWhenRendered(rendered, url, scrollY, isCurrent) {
+    const landedAt = window.scrollY;
+    const isRestoring = scrollY !== undefined;
+
+    if (isRestoring && Math.abs(landedAt - scrollY) < 1) return;
+    if (!isRestoring && (!new URL(url, window.location.origin).hash || this._getHashTarget(url))) return;
+
+    rendered.then(() => {
+      if (!isCurrent() || Math.abs(window.scrollY - landedAt) >= 1) return;
+
+      this._handleScroll(url, scrollY);
+      if (!isRestoring) this._focusPage(url);
+    });
+  },
+
+  /**
+   * Element named by a URL's hash, if it's on the page
+   *
+   * @param {string} url - URL that may have a #hash
+   * @returns {Element|null} Target element
+   */
+  _getHashTarget(url) {
+    const hash = new URL(url, window.location.origin).hash;
+    if (!hash) return null;
+
+    try {
+      return document.getElementById(decodeURIComponent(hash.slice(1)));
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Move focus into the new page: the hash target, else its <h1>, else <main>
+   * Pages without <main> (the Fan Club) get their first heading outside the header.
+   * Focus doesn't scroll - _handleScroll() has already positioned the page.
+   *
+   * @param {string} url - Navigated URL
+   */
+  _focusPage(url) {
+    const main = document.querySelector(this._config.contentSelector);
+    const heading = main
+      ? main.querySelector('h1')
+      : [...document.querySelectorAll(`${this._config.layoutSelector} :is(h1, h2)`)].find(h => !h.closest('header'));
+    const target = this._getHashTarget(url) || heading || main;
+    if (!target) return;
+
+    // Headings and landmarks aren't focusable by default
+    if (!target.hasAttribute('tabindex') && !target.matches('a[href], button, input, select, textarea')) {
+      target.setAttribute('tabindex', '-1');
+    }
+
+    target.focus({ preventScroll: true });
+  },
+
+  // ==========================================================================
+  // ACCESSIBILITY
+  // ==========================================================================
+
+  /**
+   * Add the live region used to announce page changes
+   */
+  _createAnnouncer() {
+    const announcer = document.createElement('div');
+    announcer.className = 'visually-hidden';
+    announcer.setAttribute('aria-live', 'polite');
+    announcer.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(announcer);
+
+    this._announcer.element = announcer;
+  },
+
+  /**
+   * Announce a message through the live region
+   * Cleared first so the same text (e.g. Back to a same-titled page) is read again.
+   *
+   * @param {string} message - Text to announce
+   */
+  _announce(message) {
+    const announcer = this._announcer.element;
+    if (!announcer) return;
+
+    announcer.textContent = '';
+    setTimeout(() => {
+      announcer.textContent = message;
+    }, 100);
+  },
+
   // ==========================================================================
   // SCRIPT MANAGEMENT
   // ==========================================================================
 
   /**
    * Initialize scripts for the new page
+   * Resolves once async module initializers have finished rendering, or after
+   * renderWait - whichever is first.
    *
    * @param {Document} doc - Parsed document
+   * @returns {Promise<{ rendered: Promise }>} rendered settles when every module has rendered
    */
   async _initializePageScripts(doc) {
     // Find page-specific scripts in the new document
@@ -369,8 +1135,9 @@ const DurtNursSPA = {
 
     scripts.forEach(script => {
       const src = script.src;
-      // Skip utils, audio-player, and spa-navigation (already loaded globally)
+      // Skip utils, offline, audio-player, and spa-navigation (already loaded globally)
       if (src.includes('utils.js') ||
+          src.includes('offline.js') ||
           src.includes('audio-player.js') ||
           src.includes('spa-navigation.js')) {
         return;
@@ -389,7 +1156,9 @@ const DurtNursSPA = {
     // Determine current page from URL
     const pageName = this._getPageName();
 
-    // Run registered module initializers
+    // Run registered module initializers (async ones render in parallel)
+    const rendering = [];
+
     for (const [name, module] of Object.entries(this._modules)) {
       // Skip if module is page-specific and this isn't its page
       if (module.pages && !module.pages.includes(pageName)) {
@@ -397,12 +1166,26 @@ const DurtNursSPA = {
       }
 
       try {
-        module.init();
+        const result = module.init();
+        if (result && typeof result.then === 'function') {
+          rendering.push(result.catch(error => {
+            DurtNursUtils.debugError(`❌ Failed to reinitialize ${name}:`, error);
+          }));
+        }
         DurtNursUtils.debug(`🔄 Reinitialized module: ${name}`);
       } catch (error) {
         DurtNursUtils.debugError(`❌ Failed to reinitialize ${name}:`, error);
       }
     }
+
+    // Don't let a slow (or stuck) module hold up scrolling and focus
+    const rendered = Promise.all(rendering);
+    await Promise.race([
+      rendered,
+      new Promise(resolve => setTimeout(resolve, this._config.renderWait))
+    ]);
+
+    return { rendered };
   },
 
   /**
@@ -457,40 +1240,101 @@ const DurtNursSPA = {
 
   /**
    * Handle browser back/forward buttons
+   * Pages visited or prefetched recently come straight from the page cache.
    */
   _bindPopState() {
+    // The router restores scroll itself, after modules have re-rendered the page
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+
     window.addEventListener('popstate', (e) => {
+      // A save still pending belongs to the entry we just left - it would land on this one
+      clearTimeout(this._scrollState.saveTimer);
+
       // Only handle our SPA states
       if (e.state?.spa) {
         this._performNavigation(window.location.href, {
           replaceState: true,
-          force: true
+          force: true,
+          fromHistory: true,
+          scrollY: e.state.scrollY || 0
         });
       } else {
         // For non-SPA history entries, do a full navigation
         // This handles the initial page load entry
         this._performNavigation(window.location.href, {
           replaceState: true,
-          force: true
+          force: true,
+          fromHistory: true
         });
       }
     });
 
-    // Mark current state as SPA
-    history.replaceState({ spa: true }, '', window.location.href);
+    // Mark current state as SPA, keeping any position saved before a reload
+    history.replaceState({ ...history.state, spa: true }, '', window.location.href);
+
+    // Manual restoration applies to reloads too, so put the page back once it has loaded
+    const savedScrollY = history.state.scrollY;
+    if (savedScrollY > 0) {
+      window.addEventListener('load', () => {
+        window.scrollTo({ top: savedScrollY, behavior: 'instant' });
+      }, { once: true });
+    }
+  },
+
+  /**
+   * Save the scroll position into the current history entry once scrolling pauses
+   */
+  _bindScrollTracking() {
+    window.addEventListener('scroll', () => {
+      clearTimeout(this._scrollState.saveTimer);
+      this._scrollState.saveTimer = setTimeout(() => {
+        this._saveScrollPosition();
+      }, this._config.scrollSaveDelay);
+    }, { passive: true });
+  },
+
+  /**
+   * Write the current scroll position into history.state
+   */
+  _saveScrollPosition() {
+    clearTimeout(this._scrollState.saveTimer);
+    history.replaceState({ ...history.state, spa: true, scrollY: window.scrollY }, '');
   },
 
   // ==========================================================================
   // UI STATE
   // ==========================================================================
 
+  /**
+   * Add the progress bar to the top of the page
+   */
+  _createProgressBar() {
+    const bar = document.createElement('div');
+    bar.className = 'spa-progress';
+    bar.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(bar);
+
+    this._progress.element = bar;
+  },
+
   /**
    * Set loading state on the page
+   * Without a progress value the bar runs indeterminate; when loading ends it fills and fades.
    *
    * @param {boolean} isLoading - Whether page is loading
+   * @param {number} [progress] - Fetch progress from 0 to 1, when known
    */
-  _setLoadingState(isLoading) {
+  _setLoadingState(isLoading, progress) {
     document.body.classList.toggle('spa-loading', isLoading);
+
+    const bar = this._progress.element;
+    if (!bar) return;
+
+    const isMeasured = typeof progress === 'number';
+    bar.classList.toggle('spa-progress--indeterminate', isLoading && !isMeasured);
+    bar.style.transform = isLoading && isMeasured ? `scaleX(${Math.max(progress, 0.05)})` : '';
   }
 
 };
@@ -6,7 +6,9 @@
  * - Date formatting with Intl API
  * - JSON fetching with error handling
  * - Error display in containers
+ * - HTML escaping for generated markup
  * - DOM ready detection
+ * - Track deep links (slugs, share URLs)
  * - Debug logging (conditionally enabled)
  *
  * Usage: Include this script BEFORE other scripts that depend on it.
@@ -112,6 +114,19 @@ const DurtNursUtils = {
     }
   },
 
+  /**
+   * Escapes text for template literals that end up in innerHTML
+   * Safe for element content and double-quoted attributes.
+   *
+   * @param {*} text - Value to escape (null/undefined become '')
+   * @returns {string} Escaped text
+   */
+  escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;');
+  },
+
   /**
    * Executes a callback when the DOM is ready
    * Handles both cases: DOM still loading or already loaded
@@ -211,6 +226,68 @@ const DurtNursUtils = {
       });
     }
     return this.pictureElement({ src, alt, className, loading, onerror });
+  },
+
+  /**
+   * Converts text to a URL-safe slug
+   * Example: "Who's Going?" becomes "whos-going"
+   *
+   * @param {string} text - Text to slugify (e.g., a track title)
+   * @returns {string} Lowercase, hyphen-separated slug
+   */
+  slugify(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/['’]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  },
+
+  /**
+   * Builds a shareable link to a track on the releases page
+   * Example: trackURL('release-ecclesiastical-tapes-2025', 'Two Sticks', 72)
+   *   → "/releases/?track=release-ecclesiastical-tapes-2025/two-sticks&t=72"
+   *
+   * @param {string} releaseId - Release id from releases.json
+   * @param {string} trackTitle - Track title (slugified for the URL)
+   * @param {number} [startTime] - Offset in seconds (omitted when 0)
+   * @returns {string} Root-relative URL
+   */
+  trackURL(releaseId, trackTitle, startTime = 0) {
+    const params = new URLSearchParams({ track: `${releaseId}/${this.slugify(trackTitle)}` });
+    const seconds = Math.floor(startTime);
+    if (seconds > 0) params.set('t', seconds);
+
+    // Keep the slash in the track param readable
+    return `/releases/?${params.toString().replace(/%2F/g, '/')}`;
+  },
+
+  /**
+   * Parses a track deep link from a query string
+   * Accepts t as seconds ("72"), m:ss ("1:12") or 1m12s
+   *
+   * @param {string} search - Query string (e.g., window.location.search)
+   * @returns {{releaseId: string, trackSlug: string, startTime: number}|null} Link target, or null if absent
+   */
+  parseTrackLink(search) {
+    const params = new URLSearchParams(search);
+    const [releaseId, trackSlug] = (params.get('track') || '').split('/');
+    if (!releaseId || !trackSlug) return null;
+
+    const t = (params.get('t') || '').trim();
+    let startTime = 0;
+    const clock = t.match(/^(?:(\d+):)?(\d+):(\d{1,2})$/);
+    const units = t.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+    const match = clock || (t && units);
+
+    if (match) {
+      const [, h, m, sec] = match;
+      startTime = parseInt(h || 0, 10) * 3600 + parseInt(m || 0, 10) * 60 + parseInt(sec || 0, 10);
+    }
+
+    return { releaseId, trackSlug, startTime };
   }
 
 };
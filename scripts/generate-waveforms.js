@@ -0,0 +1,174 @@
+/**
+ * Waveform Peaks Generation Script
+ *
+ * Decodes every audioFile listed in assets/data/releases.json and writes a
+ * compact peaks manifest the audio player draws its waveform seek bar from.
+ *
+ * Run: npm run generate-waveforms
+ *
+ * Output: assets/data/waveforms.json
+ *   {
+ *     "peaksPerTrack": 200,
+ *     "tracks": {
+ *       "/assets/audio/album/track.mp3": [0-100, ...]
+ *     }
+ *   }
+ *
+ * Peaks are normalized per track (loudest bucket = 100) so quiet recordings
+ * still draw a readable shape. Tracks whose MP3 is missing locally keep their
+ * existing entry. Unchanged tracks are skipped unless --force is passed.
+ *
+ * Decoding is shared with measure-loudness.js (see lib/decode-mp3.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeMp3, getAudioFiles } = require('./lib/decode-mp3');
+
+// Configuration
+const RELEASES_PATH = path.join('assets', 'data', 'releases.json');
+const MANIFEST_PATH = path.join('assets', 'data', 'waveforms.json');
+const PEAKS_PER_TRACK = 200;
+const BLOCK_SIZE = 1024;        // Samples per intermediate block
+
+// Track statistics
+const stats = {
+  processed: 0,
+  skipped: 0,
+  missing: 0,
+  errors: []
+};
+
+/**
+ * Load the existing manifest, if any
+ */
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return { peaksPerTrack: PEAKS_PER_TRACK, tracks: {} };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+  // Bucket count changed - every entry needs regenerating
+  if (manifest.peaksPerTrack !== PEAKS_PER_TRACK) {
+    return { peaksPerTrack: PEAKS_PER_TRACK, tracks: {} };
+  }
+
+  return manifest;
+}
+
+/**
+ * Decode an MP3 and reduce it to per-block peak amplitudes
+ * Streams the file through the decoder so memory stays flat for long tracks.
+ */
+async function decodeBlockPeaks(filePath) {
+  const blockPeaks = [];
+  let blockMax = 0;
+  let blockCount = 0;
+
+  await decodeMp3(filePath, (channelData, samplesDecoded) => {
+    for (let i = 0; i < samplesDecoded; i++) {
+      for (const channel of channelData) {
+        const amplitude = Math.abs(channel[i]);
+        if (amplitude > blockMax) blockMax = amplitude;
+      }
+
+      if (++blockCount === BLOCK_SIZE) {
+        blockPeaks.push(blockMax);
+        blockMax = 0;
+        blockCount = 0;
+      }
+    }
+  });
+
+  if (blockCount > 0) blockPeaks.push(blockMax);
+  return blockPeaks;
+}
+
+/**
+ * Downsample block peaks to PEAKS_PER_TRACK values scaled 0-100
+ */
+function toPeaks(blockPeaks) {
+  const peaks = [];
+
+  for (let i = 0; i < PEAKS_PER_TRACK; i++) {
+    const start = Math.floor((i * blockPeaks.length) / PEAKS_PER_TRACK);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * blockPeaks.length) / PEAKS_PER_TRACK));
+    let max = 0;
+    for (let j = start; j < end && j < blockPeaks.length; j++) {
+      if (blockPeaks[j] > max) max = blockPeaks[j];
+    }
+    peaks.push(max);
+  }
+
+  const loudest = Math.max(...peaks) || 1;
+  return peaks.map(peak => Math.round((peak / loudest) * 100));
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('\nGenerating waveform peaks...\n');
+
+  const audioFiles = getAudioFiles(RELEASES_PATH);
+  const manifest = loadManifest();
+  const force = process.argv.includes('--force');
+  const manifestTime = fs.existsSync(MANIFEST_PATH) ? fs.statSync(MANIFEST_PATH).mtime : 0;
+
+  console.log(`Found ${audioFiles.length} audio files in releases.json\n`);
+
+  for (const audioFile of audioFiles) {
+    // audioFile paths are site-absolute (/assets/...)
+    const filePath = path.join(process.cwd(), audioFile);
+
+    if (!fs.existsSync(filePath)) {
+      stats.missing++;
+      console.warn(`  Missing: ${audioFile}${manifest.tracks[audioFile] ? ' (keeping existing peaks)' : ''}`);
+      continue;
+    }
+
+    if (!force && manifest.tracks[audioFile] && fs.statSync(filePath).mtime <= manifestTime) {
+      stats.skipped++;
+      continue;
+    }
+
+    try {
+      manifest.tracks[audioFile] = toPeaks(await decodeBlockPeaks(filePath));
+      stats.processed++;
+      console.log(`  ${audioFile}`);
+    } catch (error) {
+      stats.errors.push({ path: audioFile, error: error.message });
+      console.error(`  Error: ${audioFile} - ${error.message}`);
+    }
+  }
+
+  // Drop entries for tracks no longer in releases.json
+  for (const audioFile of Object.keys(manifest.tracks)) {
+    if (!audioFiles.includes(audioFile)) delete manifest.tracks[audioFile];
+  }
+
+  // One track per line keeps diffs readable without bloating the file
+  const trackLines = Object.entries(manifest.tracks)
+    .map(([audioFile, peaks]) => `    ${JSON.stringify(audioFile)}: ${JSON.stringify(peaks)}`);
+  const output = `{\n  "peaksPerTrack": ${PEAKS_PER_TRACK},\n  "tracks": {\n${trackLines.join(',\n')}\n  }\n}\n`;
+  fs.writeFileSync(MANIFEST_PATH, output);
+
+  // Print summary
+  console.log('\n--- Waveform Generation Summary ---');
+  console.log(`Generated: ${stats.processed} tracks`);
+  console.log(`Skipped (up-to-date): ${stats.skipped} tracks`);
+  console.log(`Missing audio: ${stats.missing} tracks`);
+
+  if (stats.errors.length > 0) {
+    console.log(`\nErrors: ${stats.errors.length}`);
+    stats.errors.forEach(e => console.log(`  - ${e.path}: ${e.error}`));
+  }
+
+  console.log(`\nWrote ${MANIFEST_PATH}\n`);
+}
+
+main().catch(error => {
+  console.error('Waveform generation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+/**
+ * MP3 Decoding Helper
+ *
+ * Shared by the build scripts that analyse track audio
+ * (generate-waveforms.js, measure-loudness.js).
+ *
+ * Streams the file through mpg123-decoder (WebAssembly) in small chunks and
+ * hands each decoded chunk to a callback, so memory stays flat however long
+ * the track is.
+ */
+
+const fs = require('fs');
+
+const READ_CHUNK_SIZE = 64 * 1024; // Bytes fed to the decoder at a time
+
+/**
+ * Decode an MP3, calling onChunk for each block of decoded samples
+ * @param {string} filePath - Path to the MP3 on disk
+ * @param {Function} onChunk - (channelData: Float32Array[], samplesDecoded: number, sampleRate: number) => void
+ * @returns {Promise<number>} Sample rate of the file
+ */
+async function decodeMp3(filePath, onChunk) {
+  // mpg123-decoder is ESM-only
+  const { MPEGDecoder } = await import('mpg123-decoder');
+  const decoder = new MPEGDecoder();
+  await decoder.ready;
+
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  let fileSampleRate = 0;
+
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK_SIZE, null)) > 0) {
+      const { channelData, samplesDecoded, sampleRate } = decoder.decode(buffer.subarray(0, bytesRead));
+      if (samplesDecoded === 0) continue;
+
+      fileSampleRate = sampleRate;
+      onChunk(channelData, samplesDecoded, sampleRate);
+    }
+  } finally {
+    fs.closeSync(fd);
+    decoder.free();
+  }
+
+  return fileSampleRate;
+}
+
+/**
+ * Collect unique audio files from releases.json
+ * @param {string} releasesPath - Path to assets/data/releases.json
+ * @returns {string[]} Site-absolute audioFile paths
+ */
+function getAudioFiles(releasesPath) {
+  const { releases } = JSON.parse(fs.readFileSync(releasesPath, 'utf8'));
+  const audioFiles = new Set();
+
+  for (const release of releases) {
+    for (const track of release.tracklist || []) {
+      if (typeof track === 'object' && track.hasAudio && track.audioFile) {
+        audioFiles.add(track.audioFile);
+      }
+    }
+  }
+
+  return [...audioFiles];
+}
+
+module.exports = { decodeMp3, getAudioFiles };
@@ -0,0 +1,250 @@
+/**
+ * Loudness Measurement Script
+ *
+ * Decodes every audioFile listed in assets/data/releases.json, measures its
+ * integrated loudness (ITU-R BS.1770 / EBU R128) and writes the gain the
+ * audio player applies so tracks play at a similar level.
+ *
+ * Run: npm run measure-loudness
+ *
+ * Output: assets/data/loudness.json
+ *   {
+ *     "targetLufs": -16,
+ *     "tracks": {
+ *       "/assets/audio/album/track.mp3": { "lufs": -21.4, "peakDb": -3.2, "gainDb": 2.2 }
+ *     }
+ *   }
+ *
+ * gainDb is the change needed to hit the target, capped so boosted tracks
+ * keep their peaks below -1 dBFS (no clipping on the lo-fi recordings).
+ * Tracks whose MP3 is missing locally keep their existing entry. Unchanged
+ * tracks are skipped unless --force is passed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeMp3, getAudioFiles } = require('./lib/decode-mp3');
+
+// Configuration
+const RELEASES_PATH = path.join('assets', 'data', 'releases.json');
+const MANIFEST_PATH = path.join('assets', 'data', 'loudness.json');
+const TARGET_LUFS = -16;       // Common target for streamed music on the web
+const PEAK_CEILING_DB = -1;    // Highest sample peak allowed after gain
+const BLOCK_SECONDS = 0.4;     // BS.1770 gating block
+const STEP_SECONDS = 0.1;      // 75% block overlap
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+
+// Track statistics
+const stats = {
+  processed: 0,
+  skipped: 0,
+  missing: 0,
+  errors: []
+};
+
+/**
+ * Load the existing manifest, if any
+ */
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) {
+    return { targetLufs: TARGET_LUFS, tracks: {} };
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+  // Target changed - every gain needs recalculating
+  if (manifest.targetLufs !== TARGET_LUFS) {
+    return { targetLufs: TARGET_LUFS, tracks: {} };
+  }
+
+  return manifest;
+}
+
+/**
+ * Biquad coefficients for the two K-weighting stages at a given sample rate
+ * Constants from the BS.1770 reference filters, re-derived so 44.1 kHz
+ * files are weighted the same as the 48 kHz reference.
+ */
+function kWeightingFilters(sampleRate) {
+  // Stage 1: high shelf (head acoustics)
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  // Stage 2: high pass (RLB weighting)
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+}
+
+/**
+ * Measure integrated loudness and sample peak of an MP3
+ * Keeps only the mean square of each 100 ms step in memory.
+ */
+async function measureTrack(filePath) {
+  const stepPowers = [];   // Summed channel mean squares per 100 ms step
+  let filters = null;
+  let filterState = [];    // Per channel, per stage: [x1, x2, y1, y2]
+  let stepLength = 0;
+  let stepSum = 0;
+  let stepCount = 0;
+  let peak = 0;
+
+  await decodeMp3(filePath, (channelData, samplesDecoded, sampleRate) => {
+    if (!filters) {
+      filters = kWeightingFilters(sampleRate);
+      filterState = channelData.map(() => filters.map(() => [0, 0, 0, 0]));
+      stepLength = Math.round(sampleRate * STEP_SECONDS);
+    }
+
+    for (let i = 0; i < samplesDecoded; i++) {
+      for (let c = 0; c < channelData.length; c++) {
+        let sample = channelData[c][i];
+        const amplitude = Math.abs(sample);
+        if (amplitude > peak) peak = amplitude;
+
+        for (let f = 0; f < filters.length; f++) {
+          const { b, a } = filters[f];
+          const s = filterState[c][f];
+          const out = b[0] * sample + b[1] * s[0] + b[2] * s[1] - a[0] * s[2] - a[1] * s[3];
+          s[1] = s[0];
+          s[0] = sample;
+          s[3] = s[2];
+          s[2] = out;
+          sample = out;
+        }
+
+        // Left/right (and mono) channels are all weighted 1.0
+        stepSum += sample * sample;
+      }
+
+      if (++stepCount === stepLength) {
+        stepPowers.push(stepSum / stepLength);
+        stepSum = 0;
+        stepCount = 0;
+      }
+    }
+  });
+
+  // Overlapping 400 ms blocks from consecutive 100 ms steps
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const blockPowers = [];
+  for (let i = 0; i + stepsPerBlock <= stepPowers.length; i++) {
+    let sum = 0;
+    for (let j = i; j < i + stepsPerBlock; j++) sum += stepPowers[j];
+    blockPowers.push(sum / stepsPerBlock);
+  }
+
+  const toLufs = power => -0.691 + 10 * Math.log10(power);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const aboveAbsolute = blockPowers.filter(power => toLufs(power) > ABSOLUTE_GATE_LUFS);
+  if (aboveAbsolute.length === 0) {
+    throw new Error('Track is silent or too short to measure');
+  }
+
+  const relativeGate = toLufs(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+  const gated = aboveAbsolute.filter(power => toLufs(power) > relativeGate);
+
+  return {
+    lufs: toLufs(mean(gated)),
+    peakDb: 20 * Math.log10(peak || 1e-9)
+  };
+}
+
+/**
+ * Gain to reach the target, limited by the peak ceiling
+ */
+function toGainDb({ lufs, peakDb }) {
+  return Math.min(TARGET_LUFS - lufs, PEAK_CEILING_DB - peakDb);
+}
+
+/**
+ * Round to one decimal place for the manifest
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('\nMeasuring track loudness...\n');
+
+  const audioFiles = getAudioFiles(RELEASES_PATH);
+  const manifest = loadManifest();
+  const force = process.argv.includes('--force');
+  const manifestTime = fs.existsSync(MANIFEST_PATH) ? fs.statSync(MANIFEST_PATH).mtime : 0;
+
+  console.log(`Found ${audioFiles.length} audio files in releases.json\n`);
+
+  for (const audioFile of audioFiles) {
+    // audioFile paths are site-absolute (/assets/...)
+    const filePath = path.join(process.cwd(), audioFile);
+
+    if (!fs.existsSync(filePath)) {
+      stats.missing++;
+      console.warn(`  Missing: ${audioFile}${manifest.tracks[audioFile] ? ' (keeping existing gain)' : ''}`);
+      continue;
+    }
+
+    if (!force && manifest.tracks[audioFile] && fs.statSync(filePath).mtime <= manifestTime) {
+      stats.skipped++;
+      continue;
+    }
+
+    try {
+      const measured = await measureTrack(filePath);
+      const gainDb = toGainDb(measured);
+      manifest.tracks[audioFile] = {
+        lufs: round1(measured.lufs),
+        peakDb: round1(measured.peakDb),
+        gainDb: round1(gainDb)
+      };
+      stats.processed++;
+      console.log(`  ${audioFile}: ${round1(measured.lufs)} LUFS, ${gainDb >= 0 ? '+' : ''}${round1(gainDb)} dB`);
+    } catch (error) {
+      stats.errors.push({ path: audioFile, error: error.message });
+      console.error(`  Error: ${audioFile} - ${error.message}`);
+    }
+  }
+
+  // Drop entries for tracks no longer in releases.json
+  for (const audioFile of Object.keys(manifest.tracks)) {
+    if (!audioFiles.includes(audioFile)) delete manifest.tracks[audioFile];
+  }
+
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+
+  // Print summary
+  console.log('\n--- Loudness Measurement Summary ---');
+  console.log(`Measured: ${stats.processed} tracks`);
+  console.log(`Skipped (up-to-date): ${stats.skipped} tracks`);
+  console.log(`Missing audio: ${stats.missing} tracks`);
+
+  if (stats.errors.length > 0) {
+    console.log(`\nErrors: ${stats.errors.length}`);
+    stats.errors.forEach(e => console.log(`  - ${e.path}: ${e.error}`));
+  }
+
+  console.log(`\nWrote ${MANIFEST_PATH}\n`);
+}
+
+main().catch(error => {
+  console.error('Loudness measurement failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+/**
+ * Embed Data
+ *
+ * Playable tracks from assets/data/releases.json for the embeddable player
+ * (src/embed-track.njk, plus one static page per track in src/embed-track-page.njk)
+ * and its oEmbed files (src/oembed-track.njk).
+ *
+ * Tracks are keyed by "<release-id>/<track-slug>", the same id share links
+ * use (/releases/?track=<release-id>/<track-slug>).
+ *
+ * Available in templates as `embeds`:
+ *   embeds.tracks - [{ id, title, audioFile, ..., oembed }]
+ *   embeds.byId   - { "<release-id>/<track-slug>": trackData } for the player
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_URL = 'https://durtnurs.com';
+const PROVIDER_NAME = "tHE dURT nURS'";
+const RELEASES_PATH = path.join(__dirname, '..', '..', 'assets', 'data', 'releases.json');
+const EMBED_WIDTH = 640;
+const EMBED_HEIGHT = 120;
+
+/**
+ * Same slugs as DurtNursUtils.slugify() so ids match share links
+ * Example: "Who's Going?" becomes "whos-going"
+ */
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Pixel size of a PNG from its header (oEmbed thumbnails need one)
+ * @returns {{ width: number, height: number }|null} Null for other formats or missing files
+ */
+function pngSize(sitePath) {
+  const filePath = path.join(__dirname, '..', '..', sitePath);
+  if (!/\.png$/i.test(sitePath) || !fs.existsSync(filePath)) return null;
+
+  const header = Buffer.alloc(24);
+  const fd = fs.openSync(filePath, 'r');
+  fs.readSync(fd, header, 0, 24, 0);
+  fs.closeSync(fd);
+
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+/**
+ * oEmbed "rich" response for a track
+ * https://oembed.com/#section2.3
+ */
+function buildOEmbed(track) {
+  const embedUrl = `${SITE_URL}/embed/track/${track.id}/`;
+  const oembed = {
+    version: '1.0',
+    type: 'rich',
+    provider_name: PROVIDER_NAME,
+    provider_url: `${SITE_URL}/`,
+    title: track.title,
+    author_name: track.artist,
+    author_url: `${SITE_URL}/about/`,
+    width: EMBED_WIDTH,
+    height: EMBED_HEIGHT,
+    html: `<iframe src="${embedUrl}" width="${EMBED_WIDTH}" height="${EMBED_HEIGHT}" style="border:0;max-width:100%" title="${track.title.replace(/"/g, '&quot;')} - ${PROVIDER_NAME}" loading="lazy" allow="autoplay; encrypted-media"></iframe>`
+  };
+
+  const thumbnail = track.artwork && pngSize(track.artwork);
+  if (thumbnail) {
+    oembed.thumbnail_url = `${SITE_URL}${track.artwork}`;
+    oembed.thumbnail_width = thumbnail.width;
+    oembed.thumbnail_height = thumbnail.height;
+  }
+
+  return oembed;
+}
+
+module.exports = function() {
+  const { releases } = JSON.parse(fs.readFileSync(RELEASES_PATH, 'utf8'));
+  const tracks = [];
+
+  for (const release of releases) {
+    for (const track of release.tracklist || []) {
+      if (typeof track !== 'object' || !track.hasAudio || !track.audioFile) continue;
+
+      // Same shape the site passes to DurtNursPlayer.play()
+      const trackData = {
+        id: `${release.id}/${slugify(track.title)}`,
+        title: track.title,
+        audioFile: track.audioFile,
+        duration: track.duration || '',
+        artwork: track.artwork || release.coverArt,
+        albumTitle: release.title,
+        artist: release.artist,
+        releaseId: release.id
+      };
+
+      tracks.push({ ...trackData, oembed: buildOEmbed(trackData) });
+    }
+  }
+
+  const byId = Object.fromEntries(tracks.map(({ oembed, ...trackData }) => [trackData.id, trackData]));
+
+  return { tracks, byId };
+};
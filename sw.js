@@ -0,0 +1,169 @@
+/**
+ * SERVICE WORKER
+ * Offline playback for tracks saved with "Save for offline" (see assets/js/offline.js)
+ *
+ * Caches:
+ * - durtnurs-offline-v1: saved MP3s, their artwork and a copy of releases.json.
+ *   Written by the page (DurtNursOffline); only read here.
+ * - durtnurs-pages-v1: pages, CSS, JS and data from recent visits, so the
+ *   site still opens without a connection. Network first, cache as fallback.
+ *   Holds the most recent PAGES_CACHE_LIMIT responses; older ones are dropped.
+ *
+ * Deploys: bump the PAGES_CACHE version when a deploy changes pages or assets
+ * in ways old copies would break (renamed files, new markup the JS expects).
+ * The new worker deletes the old cache when it activates.
+ *
+ * Audio elements ask for byte ranges, so saved MP3s are sliced into 206
+ * responses here - answering with the whole file breaks seeking in Safari.
+ */
+
+const OFFLINE_CACHE = 'durtnurs-offline-v1'; // Must match DurtNursOffline._CACHE_NAME
+const PAGES_CACHE = 'durtnurs-pages-v1';  // Bump on deploys (see above)
+const PAGES_CACHE_LIMIT = 60;
+const KNOWN_CACHES = [OFFLINE_CACHE, PAGES_CACHE];
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+self.addEventListener('install', () => {
+  // Nothing to precache - take over as soon as possible
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    // Drop caches from older versions of this worker
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('durtnurs-') && !KNOWN_CACHES.includes(name))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+// =============================================================================
+// FETCH ROUTING
+// =============================================================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Only same-origin reads; everything else goes straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/assets/audio/')) {
+    event.respondWith(serveAudio(request));
+  } else if (request.mode === 'navigate' || /\.(css|js|json)$/.test(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith('/assets/images/')) {
+    event.respondWith(networkOrCache(request));
+  }
+});
+
+// =============================================================================
+// STRATEGIES
+// =============================================================================
+
+/**
+ * Saved tracks come from the cache (honouring Range); others from the network
+ */
+async function serveAudio(request) {
+  // Match on the URL alone - the cached entry was stored without a Range header
+  const cache = await caches.open(OFFLINE_CACHE);
+  const cached = await cache.match(request.url, { ignoreSearch: true });
+  if (!cached) return fetch(request);
+
+  const range = request.headers.get('range');
+  return range ? rangeResponse(cached, range) : cached;
+}
+
+/**
+ * Try the network and remember the response; fall back to any cached copy
+ * Navigations ignore the query string so share links (?track=...) open offline.
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+
+    if (response.ok && response.type === 'basic') {
+      const copy = response.clone();
+      caches.open(PAGES_CACHE)
+        .then(cache => cache.put(request, copy).then(() => trimCache(cache, PAGES_CACHE_LIMIT)));
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Network, falling back to a cached copy (saved artwork) when offline
+ */
+async function networkOrCache(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Delete the oldest entries beyond a limit
+ * Cache keys come back in insertion order, and a put() replaces an existing
+ * entry at the end - so the front of the list is the least recently fetched.
+ */
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+// =============================================================================
+// RANGE REQUESTS
+// =============================================================================
+
+/**
+ * Build a 206 Partial Content response from a cached full response
+ * Supports "bytes=start-", "bytes=start-end" and suffix "bytes=-length".
+ */
+async function rangeResponse(cached, range) {
+  const blob = await cached.blob();
+  const size = blob.size;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+
+  let start = NaN;
+  let end = size - 1;
+
+  if (match && match[1] !== '') {
+    start = Number(match[1]);
+    if (match[2] !== '') end = Math.min(Number(match[2]), size - 1);
+  } else if (match && match[2] !== '') {
+    start = Math.max(0, size - Number(match[2]));
+  }
+
+  if (!Number.isFinite(start) || start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}